@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+import prompts from "prompts";
+import { existsSync } from "node:fs";
+import { resolve as resolvePath } from "node:path";
+import { text } from "node:stream/consumers";
+
+import configuration from "../src/configuration.js";
+import { EXIT_CODES } from "../src/cli.js";
+import {
+  getPassphrase,
+  readSecretsFile,
+  writeSecretsFile,
+} from "../src/secret-providers/file.js";
+
+const usage = [
+  "Usage: stripe-connect-secrets <command> <file> [name]",
+  "",
+  "Manages an encrypted secrets file, for file://<file>#<name> references.",
+  "",
+  "Commands:",
+  "  list <file>           Lists the names of the secrets in the file",
+  "  set <file> <name>     Adds or replaces a secret, prompted for, or read from stdin",
+  "  remove <file> <name>  Removes a secret",
+  "",
+  "The passphrase is prompted for, unless SECRETS_PASSPHRASE is set.",
+].join("\n");
+
+/**
+ * The passphrase for a new secrets file, asked for twice, so a typo doesn't
+ * lock the secrets away
+ *
+ * @param {string} file
+ * @param {import("../src/configuration.js").configuration} config
+ * @returns {Promise<string>}
+ */
+async function getNewPassphrase(file, config) {
+  if (config.secrets.passphrase || !process.stdin.isTTY) {
+    return getPassphrase(file, config);
+  }
+
+  const { passphrase, confirmation } = await prompts([
+    {
+      type: "password",
+      name: "passphrase",
+      message: `New passphrase for ${file}:`,
+      validate: (value) => value.length >= 8 || "Use at least 8 characters",
+    },
+    {
+      type: "password",
+      name: "confirmation",
+      message: "Repeat the passphrase:",
+    },
+  ]);
+
+  if (!passphrase || passphrase !== confirmation) {
+    throw new Error("The passphrases don't match");
+  }
+
+  return passphrase;
+}
+
+/**
+ * The value of a secret, prompted for, or read from stdin so it can be piped
+ * in, e.g., from another password manager
+ *
+ * @param {string} name
+ * @returns {Promise<string>}
+ */
+async function getSecretValue(name) {
+  if (!process.stdin.isTTY) {
+    return (await text(process.stdin)).trim();
+  }
+
+  const { value } = await prompts({
+    type: "password",
+    name: "value",
+    message: `Secret for ${name}:`,
+  });
+
+  return value ?? "";
+}
+
+async function main() {
+  const [command, path, name] = process.argv.slice(2);
+
+  if (
+    !["list", "set", "remove"].includes(command) ||
+    !path ||
+    (command !== "list" && !name)
+  ) {
+    console.error(usage);
+    return process.exit(EXIT_CODES.usage);
+  }
+
+  const config = configuration.getProperties();
+  const file = resolvePath(path);
+  const exists = existsSync(file);
+
+  if (!exists && command !== "set") {
+    throw new Error(`The secrets file ${file} doesn't exist`);
+  }
+
+  const passphrase = exists
+    ? await getPassphrase(file, config)
+    : await getNewPassphrase(file, config);
+  const secrets = exists ? await readSecretsFile(file, passphrase) : {};
+
+  switch (command) {
+    case "list":
+      Object.keys(secrets).forEach((name) => console.log(name));
+      return;
+    case "set": {
+      const value = await getSecretValue(name);
+      if (!value) {
+        throw new Error(`No secret given for ${name}`);
+      }
+
+      secrets[name] = value;
+      await writeSecretsFile(file, secrets, passphrase);
+      console.log(`Saved ${name} to ${file}, use it as file://${path}#${name}`);
+      return;
+    }
+    case "remove":
+      if (!(name in secrets)) {
+        throw new Error(`The secrets file ${file} has no secret named ${name}`);
+      }
+
+      delete secrets[name];
+      await writeSecretsFile(file, secrets, passphrase);
+      console.log(`Removed ${name} from ${file}`);
+      return;
+  }
+}
+
+main()
+  .then(() => {
+    process.exit(EXIT_CODES.success);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(EXIT_CODES.failure);
+  });
@@ -1,143 +1,476 @@
+#!/usr/bin/env node
 import prompts from "prompts";
-import op from "@1password/op-js";
 
 import configuration from "../src/configuration.js";
-import { getMonthChoices, formatPeriod } from "../src/date-fns.js";
-import { getStripeClient, getStripeTokens } from "../src/stripe.js";
+import { formatPeriod } from "../src/date-fns.js";
+import {
+  checkKeyPermissions,
+  getStripeClient,
+  getStripeTokens,
+  validateStripeKey,
+} from "../src/stripe.js";
+import { resolveSecret } from "../src/secrets.js";
+import { getFixtureAccounts, getFixtureHttpClient } from "../src/fixtures.js";
+import TransactionCache, { SYNCED_RESOURCES } from "../src/cache.js";
+import {
+  getConfiguredAccounts,
+  getConnectedAccountConfig,
+  getConnectedAccounts,
+  getPlatformToken,
+} from "../src/platform.js";
+import {
+  ALL_ACCOUNTS,
+  EXIT_CODES,
+  UsageError,
+  commands,
+  getActionResources,
+  getPeriodQuestions,
+  getUsage,
+  isWithoutPeriod,
+  parseCliArguments,
+  resolvePeriod,
+} from "../src/cli.js";
 
 import downloadInvoices from "../src/actions/downloadInvoices.js";
 import createAndSaveReceipts from "../src/actions/createAndSaveReceipts.js";
 import savePayoutReceipts from "../src/actions/savePayoutReceipts.js";
+import exportCsv from "../src/actions/exportCsv.js";
+import exportDatev from "../src/actions/exportDatev.js";
+import savePeriodSummary from "../src/actions/savePeriodSummary.js";
+import sendReceipts from "../src/actions/sendReceipts.js";
+import serveWebhooks from "../src/actions/serveWebhooks.js";
 import { debug } from "../src/utils.js";
+import { formatReportTable } from "../src/report.js";
+
+/**
+ * Runs an action for a single account
+ *
+ * @param {string} action
+ * @param {import("stripe").Stripe} stripe
+ * @param {string} account
+ * @param {import("../src/date-fns.js").Period} period
+ * @param {import("../src/configuration.js").configuration} config
+ * @returns {Promise<import("../src/report.js").ActionReport | void>}
+ */
+async function runAction(action, stripe, account, period, config) {
+  switch (action) {
+    case "createAndSaveReceipts":
+      return createAndSaveReceipts(stripe, account, period, config);
+    case "sendReceipts":
+      return sendReceipts(stripe, account, period, config);
+    case "downloadInvoices":
+      return downloadInvoices(stripe, account, period, config);
+    case "savePayoutReceipts":
+      return savePayoutReceipts(stripe, account, period, config);
+    case "exportCsv":
+      return exportCsv(stripe, account, period, config);
+    case "exportDatev":
+      return exportDatev(stripe, account, period, config);
+    case "savePeriodSummary":
+      return savePeriodSummary(stripe, account, period, config);
+    case "serveWebhooks":
+      return serveWebhooks(stripe, account, period, config);
+    default:
+      throw new Error(`Unhandled command: ${action}`);
+  }
+}
+
+/**
+ * Resolves the Stripe key of an account, which may be a reference to a secret
+ * provider such as op://, and checks it's a Stripe key before it's used
+ *
+ * @param {string} accountName
+ * @param {string} token the Stripe key, or a reference to it
+ * @param {import("../src/fixtures.js").FixtureOptions | undefined} fixtures
+ * @param {import("../src/configuration.js").configuration} config
+ * @returns {Promise<string>}
+ */
+async function resolveStripeKey(accountName, token, fixtures, config) {
+  // Replayed runs never send the key:
+  if (fixtures?.mode === "replay") {
+    return token;
+  }
+
+  const key = await resolveSecret(token, config);
+  validateStripeKey(key, accountName);
+
+  return key;
+}
+
+/**
+ * @param {string} accountName
+ * @param {string} key the Stripe key, see resolveStripeKey
+ * @param {import("../src/fixtures.js").FixtureOptions} [fixtures] to record or
+ *   replay the responses of the Stripe API
+ * @param {string} [stripeAccount] the ID of the connected account, when the
+ *   key is the key of its platform
+ * @returns {import("stripe").Stripe}
+ */
+function createStripeClient(accountName, key, fixtures, stripeAccount) {
+  const stripe = getStripeClient(key, {
+    httpClient: fixtures
+      ? getFixtureHttpClient(fixtures, accountName)
+      : undefined,
+    stripeAccount,
+  });
+
+  if (process.env.NODE_DEBUG?.includes("stripe")) {
+    stripe.on("request", (event) => {
+      debug("stripe.request", event);
+    });
+  }
+
+  return stripe;
+}
+
+/**
+ * Creates the client of an account, which either has its own token or is a
+ * connected account of the platform, along with the account's configuration
+ *
+ * @param {Map<string, string>} stripeTokens
+ * @param {Map<string, string>} connectedAccounts
+ * @param {import("../src/fixtures.js").FixtureOptions} [fixtures]
+ * @param {import("../src/configuration.js").configuration} config
+ * @param {string} accountName
+ * @param {string[]} resources the Stripe resources that will be read, which
+ *   a restricted key is checked for access to
+ * @returns {Promise<{ client: import("stripe").Stripe, accountConfig: import("../src/configuration.js").configuration }>}
+ */
+async function createAccountClient(
+  stripeTokens,
+  connectedAccounts,
+  fixtures,
+  config,
+  accountName,
+  resources
+) {
+  const stripeAccount = connectedAccounts.get(accountName);
+  const key = await resolveStripeKey(
+    accountName,
+    stripeTokens.get(accountName),
+    fixtures,
+    config
+  );
+  const client = createStripeClient(accountName, key, fixtures, stripeAccount);
+
+  await checkKeyPermissions(client, key, resources, accountName);
+
+  // Connected accounts have their own business details in Stripe, rather than
+  // those of the platform:
+  const accountConfig = stripeAccount
+    ? await getConnectedAccountConfig(
+        client,
+        stripeAccount,
+        accountName,
+        config
+      )
+    : config;
+
+  return { client, accountConfig };
+}
+
+/**
+ * Syncs the local cache of an account, the client then reads from the cache
+ *
+ * @param {import("stripe").Stripe} stripe
+ * @param {string} accountName
+ * @param {import("../src/date-fns.js").Period} period
+ * @param {import("../src/configuration.js").configuration} config
+ * @returns {Promise<import("stripe").Stripe>}
+ */
+async function getCachedClient(stripe, accountName, period, config) {
+  const cache = await TransactionCache.load(
+    config.output.directory,
+    accountName
+  );
+  await cache.sync(stripe, period);
+
+  return cache.getClient(stripe);
+}
 
 async function main() {
-  // 1. Fetch all STRIPE_TOKEN_XXXX environment variables
-  const stripeTokens = getStripeTokens();
+  const args = parseCliArguments(process.argv.slice(2));
+
+  if (args.help) {
+    console.log(getUsage(args.command));
+    return process.exit(EXIT_CODES.success);
+  }
+
   const config = configuration.getProperties();
 
-  if (stripeTokens.size < 1) {
+  // 1. Fetch all STRIPE_TOKEN_XXXX environment variables, and the connected
+  // accounts of the platform if there's a STRIPE_PLATFORM_TOKEN
+  // When replaying, the accounts are those that have fixtures instead, and the
+  // connected accounts those configured, as listing them isn't recorded:
+  const platformToken = getPlatformToken();
+  let connectedAccounts = new Map();
+  if (args.fixtures?.mode === "replay") {
+    connectedAccounts = getConfiguredAccounts(config);
+  } else if (platformToken) {
+    const platformKey = await resolveStripeKey(
+      "platform",
+      platformToken,
+      args.fixtures,
+      config
+    );
+    const platform = createStripeClient("platform", platformKey);
+
+    await checkKeyPermissions(platform, platformKey, ["accounts"], "platform");
+    connectedAccounts = await getConnectedAccounts(platform, config);
+  }
+
+  const stripeTokens =
+    args.fixtures?.mode === "replay"
+      ? getFixtureAccounts(args.fixtures.directory)
+      : new Map([
+          ...Array.from(connectedAccounts.keys()).map((name) => [
+            name,
+            platformToken,
+          ]),
+          ...getStripeTokens(),
+        ]);
+
+  if (args.dryRun) {
+    config.email.dryRun = true;
+  }
+
+  if (stripeTokens.size < 1 && args.fixtures?.mode === "replay") {
+    console.log(
+      `No fixtures found in ${args.fixtures.directory}, please record them first with --record`
+    );
+    process.exit(EXIT_CODES.failure);
+  } else if (stripeTokens.size < 1) {
     console.log(
-      "No stripe credentials found, please make sure you set them in .env as STRIPE_TOKEN_[name]\nIf you're using 1password, make sure the credential has a value."
+      "No stripe credentials found, please make sure you set them in .env as STRIPE_TOKEN_[name], or a platform key as STRIPE_PLATFORM_TOKEN\nIf you're using 1password, make sure the credential has a value."
     );
-    process.exit(1);
+    process.exit(EXIT_CODES.failure);
+  }
+
+  if (args.account && !stripeTokens.has(args.account)) {
+    throw new UsageError(
+      `Unknown account: ${args.account}, available accounts: ${Array.from(
+        stripeTokens.keys()
+      ).join(", ")}`,
+      args.command
+    );
+  }
+
+  // Without a terminal we can't prompt, so all values must be given as flags:
+  if (!process.stdin.isTTY) {
+    const missing = [
+      !args.command && "command",
+      !args.account && !args.allAccounts && "--account or --all-accounts",
+      !args.period && !isWithoutPeriod(args.action) && "--period",
+    ].filter((v) => !!v);
+
+    if (missing.length > 0) {
+      throw new UsageError(
+        `Missing ${missing.join(", ")} (not running interactively)`,
+        args.command
+      );
+    }
   }
 
-  // 2. Prompt for which account and time period to fetch data for:
+  // 2. Prompt for which action, account and time period if not given, the
+  // action first, as not every action needs a period:
   const responses = await prompts([
     {
-      type: "select",
-      name: "account",
-      message: "Please select which Stripe account to use:",
-      choices: Array.from(stripeTokens.keys()).map((account) => ({
-        title: account,
-        value: account,
+      type: args.action ? null : "select",
+      name: "action",
+      message: "What would you like to do?",
+      choices: Object.values(commands).map((command) => ({
+        title: command.title,
+        description: command.description,
+        value: command.action,
       })),
     },
     {
-      type: "select",
-      name: "period",
-      message: "Select the period to create query for?",
-      choices: getMonthChoices(),
-    },
-    {
-      type: "select",
-      name: "action",
-      message: "What would you like to do?",
-      choices: [
-        {
-          title: "Create & Save Receipts",
-          description:
-            "Creates a PDF receipt for each charge on the Stripe account",
-          value: "createAndSaveReceipts",
-        },
-        {
-          title: "Download Invoices",
-          description: "Downloads invoices generated by Stripe",
-          value: "downloadInvoices",
-        },
-        {
-          title: "Save Payout Receipts",
-          description:
-            "Retrieves each payout for the given period and generates a PDF receipt for the payout and the transactions involved",
-          value: "savePayoutReceipts",
-        },
+      type: args.account || args.allAccounts ? null : "select",
+      name: "account",
+      message: "Please select which Stripe account to use:",
+      choices: (prev, values) => [
+        ...Array.from(stripeTokens.keys()).map((account) => ({
+          title: account,
+          value: account,
+        })),
+        ...(isWithoutPeriod(args.action ?? values.action)
+          ? []
+          : [{ title: "All accounts", value: ALL_ACCOUNTS }]),
       ],
     },
+    ...getPeriodQuestions(
+      (values) => !!args.period || isWithoutPeriod(args.action ?? values.action)
+    ),
   ]);
 
-  if (!responses.account || !responses.period || !responses.action) {
+  responses.account =
+    args.account ?? (args.allAccounts ? ALL_ACCOUNTS : responses.account);
+  responses.period = args.period ?? resolvePeriod(responses);
+  responses.action = args.action ?? responses.action;
+
+  const withoutPeriod = isWithoutPeriod(responses.action);
+
+  if (
+    !responses.account ||
+    (!responses.period && !withoutPeriod) ||
+    !responses.action
+  ) {
     console.log("\nInterrupted, okay, bye!");
-    return process.exit(0);
+    return process.exit(EXIT_CODES.interrupted);
   }
 
-  const accountName = responses.account;
-  const token = stripeTokens.get(accountName);
-  if (!token) {
-    console.log("\nFailed to find Stripe token?");
-    return process.exit(0);
-  }
+  // Recorded or replayed runs always talk to the Stripe API, so the requests
+  // don't depend on what was cached before, nor do actions without a period,
+  // which fetch what they need as it changes:
+  const useCache = config.cache.enabled && !args.fixtures && !withoutPeriod;
 
-  let secret = token;
-  if (token.startsWith("op://")) {
-    secret = op.read.parse(token);
-  }
+  const resources = [
+    ...getActionResources(responses.action),
+    ...(useCache ? SYNCED_RESOURCES : []),
+  ];
 
-  const stripe = getStripeClient(secret);
+  if (responses.account !== ALL_ACCOUNTS) {
+    const accountName = responses.account;
+    const token = stripeTokens.get(accountName);
+    if (!token) {
+      console.log("\nFailed to find Stripe token?");
+      return process.exit(EXIT_CODES.failure);
+    }
 
-  console.log(
-    `\nOkay processing ${responses.account} for ${formatPeriod(
-      responses.period
-    )}\n`
-  );
+    console.log(
+      withoutPeriod
+        ? `\nOkay processing ${accountName}\n`
+        : `\nOkay processing ${accountName} for ${formatPeriod(
+            responses.period
+          )}\n`
+    );
 
-  if (process.env.NODE_DEBUG?.includes("stripe")) {
-    stripe.on("request", (event) => {
-      debug("stripe.request", event);
-    });
+    const { client, accountConfig } = await createAccountClient(
+      stripeTokens,
+      connectedAccounts,
+      args.fixtures,
+      config,
+      accountName,
+      resources
+    );
+    const stripe = useCache
+      ? await getCachedClient(
+          client,
+          accountName,
+          responses.period,
+          accountConfig
+        )
+      : client;
+
+    await runAction(
+      responses.action,
+      stripe,
+      accountName,
+      responses.period,
+      accountConfig
+    );
+    return;
   }
 
-  switch (responses.action) {
-    case "createAndSaveReceipts":
-      await createAndSaveReceipts(
-        stripe,
-        responses.account,
-        responses.period,
-        config
-      );
-      break;
-    case "downloadInvoices":
-      await downloadInvoices(
-        stripe,
-        responses.account,
-        responses.period,
-        config
+  // 3. Run the action for each account in turn, a failure on one account
+  // shouldn't stop the others:
+  const results = [];
+
+  for (const accountName of stripeTokens.keys()) {
+    console.log(
+      `\nOkay processing ${accountName} for ${formatPeriod(responses.period)}\n`
+    );
+
+    const startedAt = Date.now();
+
+    try {
+      const { client, accountConfig } = await createAccountClient(
+        stripeTokens,
+        connectedAccounts,
+        args.fixtures,
+        config,
+        accountName,
+        resources
       );
-      break;
-    case "savePayoutReceipts":
-      await savePayoutReceipts(
+      const stripe = useCache
+        ? await getCachedClient(
+            client,
+            accountName,
+            responses.period,
+            accountConfig
+          )
+        : client;
+
+      const report = await runAction(
+        responses.action,
         stripe,
-        responses.account,
+        accountName,
         responses.period,
-        config
+        accountConfig
       );
-      break;
-    default:
-      throw new Error(`Unhandled command: ${responses.action}`);
+
+      results.push({
+        accountName,
+        error: null,
+        report: report ?? null,
+        duration: Date.now() - startedAt,
+      });
+    } catch (error) {
+      console.error(`\nFailed to process ${accountName}:`);
+      console.error(error);
+
+      results.push({
+        accountName,
+        error,
+        report: null,
+        duration: Date.now() - startedAt,
+      });
+    }
+  }
+
+  const failed = results.filter((result) => !!result.error);
+
+  console.log(
+    `\nSummary for ${formatPeriod(responses.period)}, ${
+      results.length - failed.length
+    } of ${results.length} accounts succeeded:`
+  );
+  results.forEach(({ accountName, error, duration }) => {
+    const seconds = (duration / 1000).toFixed(1);
+    console.log(
+      `  ${accountName.padEnd(16, " ")}${
+        error ? `failed: ${error.message}` : "ok"
+      } (${seconds}s)`
+    );
+  });
+
+  const succeeded = results.filter((result) => !result.error);
+  if (succeeded.length > 0) {
+    console.log("\nCombined report of the accounts that succeeded:");
+    formatReportTable(succeeded).forEach((line) => console.log(`  ${line}`));
+  }
+
+  if (failed.length > 0) {
+    return process.exit(EXIT_CODES.failure);
   }
 }
 
 main()
   .then(() => {
     console.log("\nok");
-    process.exit(0);
+    process.exit(EXIT_CODES.success);
   })
   .catch((error) => {
-    if (error.message.startsWith("User force closed the prompt with")) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n`);
+      console.error(getUsage(error.command));
+      process.exit(EXIT_CODES.usage);
+    } else if (error.message.startsWith("User force closed the prompt with")) {
       console.log("\nBye!");
-      process.exit(0);
+      process.exit(EXIT_CODES.interrupted);
     } else {
       console.error("\n");
       console.error(error);
-      process.exit(1);
+      process.exit(EXIT_CODES.failure);
     }
   });
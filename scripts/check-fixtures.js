@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+import { spawnSync } from "node:child_process";
+import { existsSync, mkdtempSync, readdirSync, readFileSync } from "node:fs";
+import { cp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { dirname, join as joinPath, relative } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { EXIT_CODES } from "../src/cli.js";
+
+const root = joinPath(dirname(fileURLToPath(import.meta.url)), "..");
+const fixturesDir = joinPath(root, "fixtures", "replay");
+const expectedDir = joinPath(fixturesDir, "expected");
+
+/**
+ * The commands replayed, in order, as the later ones use the numbers issued by
+ * the receipts command
+ */
+const COMMANDS = ["receipts", "payouts", "export", "datev", "summary"];
+
+/**
+ * The period the fixtures were recorded for
+ */
+const PERIOD = "2026-09";
+
+/**
+ * The time the documents are generated at, the end of the period, so that
+ * they're the same on every run
+ */
+const SOURCE_DATE_EPOCH = "1790812800";
+
+/**
+ * Files of the output directory that aren't compared, the ledger records when
+ * each number was issued
+ */
+const IGNORED_FILES = ["ledger.json"];
+
+const usage = [
+  "Usage: check-fixtures [--update]",
+  "",
+  "Replays the Stripe responses in fixtures/replay/stripe, and compares the",
+  "documents generated from them with those in fixtures/replay/expected.",
+  "",
+  "Options:",
+  "  --update  Replaces the expected documents with the generated ones, after",
+  "            a change to the documents that is intended",
+].join("\n");
+
+/**
+ * The files in a directory and its subdirectories, relative to it
+ *
+ * @param {string} directory
+ * @returns {string[]}
+ */
+function listFiles(directory) {
+  if (!existsSync(directory)) {
+    return [];
+  }
+
+  return readdirSync(directory, { recursive: true, withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) =>
+      relative(directory, joinPath(entry.parentPath ?? entry.path, entry.name))
+    )
+    .filter((file) => !IGNORED_FILES.includes(file))
+    .sort();
+}
+
+/**
+ * How two versions of a file differ, the first line that differs for text
+ * files, or null if they're the same
+ *
+ * @param {string} file
+ * @param {Buffer} expected
+ * @param {Buffer} actual
+ * @returns {string | null}
+ */
+function describeDifference(file, expected, actual) {
+  if (expected.equals(actual)) {
+    return null;
+  }
+
+  if (!/\.(csv|xml)$/.test(file)) {
+    return "differs";
+  }
+
+  // DATEV files are encoded as Windows-1252, the others as UTF-8:
+  const encoding = file.includes("EXTF_") ? "latin1" : "utf8";
+  const expectedLines = expected.toString(encoding).split(/\r?\n/);
+  const actualLines = actual.toString(encoding).split(/\r?\n/);
+  const line = expectedLines.findIndex(
+    (value, index) => value !== actualLines[index]
+  );
+  const index = line === -1 ? expectedLines.length : line;
+
+  return [
+    `differs from line ${index + 1}:`,
+    `    expected: ${expectedLines[index] ?? "(end of file)"}`,
+    `    actual:   ${actualLines[index] ?? "(end of file)"}`,
+  ].join("\n");
+}
+
+/**
+ * Runs a command of stripe-connect-tools with the fixtures, in the output
+ * directory
+ *
+ * @param {string} command
+ * @param {string} outputDir
+ */
+function replay(command, outputDir) {
+  const result = spawnSync(
+    process.execPath,
+    [
+      joinPath(root, "bin", "stripe-connect-tools.js"),
+      command,
+      "--all-accounts",
+      "--period",
+      PERIOD,
+      "--replay",
+      joinPath(fixturesDir, "stripe"),
+    ],
+    {
+      cwd: outputDir,
+      encoding: "utf8",
+      // Only what the run needs, so the environment of the shell (e.g., a
+      // platform key) can't change the documents:
+      env: {
+        PATH: process.env.PATH,
+        CONFIG_FILE: joinPath(fixturesDir, "config.toml"),
+        SOURCE_DATE_EPOCH,
+        TZ: "UTC",
+      },
+    }
+  );
+
+  if (result.status !== EXIT_CODES.success) {
+    console.error(result.stdout);
+    console.error(result.stderr);
+    throw new Error(`Replaying ${command} failed with ${result.status}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.some((arg) => arg !== "--update")) {
+    console.error(usage);
+    return process.exit(EXIT_CODES.usage);
+  }
+
+  const update = args.includes("--update");
+  const outputDir = mkdtempSync(joinPath(tmpdir(), "stripe-connect-fixtures-"));
+
+  for (const command of COMMANDS) {
+    console.log(`Replaying ${command} for ${PERIOD}`);
+    replay(command, outputDir);
+  }
+
+  if (update) {
+    await rm(expectedDir, { recursive: true, force: true });
+    for (const file of listFiles(outputDir)) {
+      await cp(joinPath(outputDir, file), joinPath(expectedDir, file));
+    }
+    await rm(outputDir, { recursive: true });
+
+    console.log(`Updated the expected documents in ${expectedDir}`);
+    return;
+  }
+
+  const expectedFiles = listFiles(expectedDir);
+  const actualFiles = listFiles(outputDir);
+
+  const problems = [
+    ...expectedFiles
+      .filter((file) => !actualFiles.includes(file))
+      .map((file) => `${file}: missing`),
+    ...actualFiles
+      .filter((file) => !expectedFiles.includes(file))
+      .map((file) => `${file}: not expected`),
+    ...expectedFiles
+      .filter((file) => actualFiles.includes(file))
+      .map((file) => {
+        const difference = describeDifference(
+          file,
+          readFileSync(joinPath(expectedDir, file)),
+          readFileSync(joinPath(outputDir, file))
+        );
+
+        return difference ? `${file}: ${difference}` : null;
+      })
+      .filter((problem) => !!problem),
+  ];
+
+  if (problems.length > 0) {
+    console.error(
+      `\n${problems.length} of ${expectedFiles.length} documents don't match:`
+    );
+    problems.forEach((problem) => console.error(`  ${problem}`));
+    console.error(
+      `\nThe generated documents are in ${outputDir}, if the changes are intended, run with --update`
+    );
+    return process.exit(EXIT_CODES.failure);
+  }
+
+  await rm(outputDir, { recursive: true });
+  console.log(`\nAll ${expectedFiles.length} documents match`);
+}
+
+main()
+  .then(() => {
+    process.exit(EXIT_CODES.success);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(EXIT_CODES.failure);
+  });
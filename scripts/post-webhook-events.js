@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+import { readdirSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { basename, dirname, join as joinPath } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import configuration from "../src/configuration.js";
+import { EXIT_CODES } from "../src/cli.js";
+import { getStripeClient } from "../src/stripe.js";
+import { resolveSecret } from "../src/secrets.js";
+import { getWebhookSecret } from "../src/actions/serveWebhooks.js";
+
+const eventsDir = joinPath(
+  dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "fixtures",
+  "webhooks"
+);
+
+const usage = [
+  "Usage: post-webhook-events [options] [file...]",
+  "",
+  "Signs Stripe events and posts them to a running serve command, by default",
+  "the events in fixtures/webhooks, in the order of their names.",
+  "",
+  "Options:",
+  "  -a, --account <name>  Account the serve command runs for, to use its",
+  "                        webhook signing secret, see STRIPE_WEBHOOK_SECRET_<name>",
+  "  -s, --secret <secret> Webhook signing secret, or a reference to it",
+  "  -u, --url <url>       Endpoint, by default the one configured in [webhooks]",
+].join("\n");
+
+/**
+ * Signs an event the way Stripe does, and posts it to the endpoint
+ *
+ * @param {string} url
+ * @param {string} payload the event, as JSON
+ * @param {string} secret
+ * @returns {Promise<Response>}
+ */
+async function postEvent(url, payload, secret) {
+  // Signing doesn't make any requests to the Stripe API, so it needs no key:
+  const stripe = getStripeClient("");
+
+  return fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Stripe-Signature": stripe.webhooks.generateTestHeaderString({
+        payload,
+        secret,
+      }),
+    },
+    body: payload,
+  });
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      options: {
+        account: { type: "string", short: "a" },
+        secret: { type: "string", short: "s" },
+        url: { type: "string", short: "u" },
+        help: { type: "boolean", short: "h" },
+      },
+      allowPositionals: true,
+    });
+  } catch (err) {
+    console.error(`${err.message}\n`);
+    console.error(usage);
+    return process.exit(EXIT_CODES.usage);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(usage);
+    return;
+  }
+
+  const config = configuration.getProperties();
+  const { host, port, path } = config.webhooks;
+  const url = values.url ?? `http://${host}:${port}${path}`;
+
+  const reference =
+    values.secret ??
+    (values.account
+      ? getWebhookSecret(values.account, config)
+      : config.webhooks.secret);
+  if (!reference) {
+    throw new Error(
+      "No webhook signing secret, please pass --secret or --account, or set STRIPE_WEBHOOK_SECRET"
+    );
+  }
+  const secret = await resolveSecret(reference, config);
+
+  const files =
+    positionals.length > 0
+      ? positionals
+      : readdirSync(eventsDir)
+          .filter((file) => file.endsWith(".json"))
+          .sort()
+          .map((file) => joinPath(eventsDir, file));
+
+  let failed = 0;
+  for (const file of files) {
+    // Stripe signs the exact bytes of the body, so the event is posted as it
+    // is in the file:
+    const payload = await readFile(file, "utf8");
+    const { id, type } = JSON.parse(payload);
+
+    const response = await postEvent(url, payload, secret);
+    console.log(
+      `${response.status} ${type} ${id} (${basename(
+        file
+      )}): ${await response.text()}`
+    );
+
+    if (!response.ok) {
+      failed++;
+    }
+  }
+
+  if (failed > 0) {
+    throw new Error(`${failed} of ${files.length} events weren't handled`);
+  }
+}
+
+main()
+  .then(() => {
+    process.exit(EXIT_CODES.success);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(EXIT_CODES.failure);
+  });
@@ -2,11 +2,24 @@ import { join as joinPath } from "node:path";
 import { writeFile } from "node:fs/promises";
 import { mkdirp } from "fs-extra";
 
-import { getTaxLaw, validateTaxLaw } from "../taxation.js";
+import {
+  getLineTax,
+  getTaxBreakdown,
+  getTaxLaw,
+  isSmallInvoice,
+} from "../taxation.js";
 import Invoice from "../generators/invoice.js";
-import { formatDate, formatPeriod } from "../date-fns.js";
-import { fetchBalanceTransactions } from "../stripe.js";
-import { debug } from "../utils.js";
+import crossIndustryInvoice, {
+  FACTUR_X_PROFILES,
+} from "../generators/cross-industry-invoice.js";
+import { getEInvoice } from "../e-invoice.js";
+import { getMissingXRechnungFields, writeXRechnung } from "../xrechnung.js";
+import { sortByCreated } from "../date-fns.js";
+import { getReceiptLocalization, localize } from "../i18n.js";
+import { fetchBalanceTransactions, fetchCharge } from "../stripe.js";
+import Ledger from "../ledger.js";
+import { getActionReport } from "../report.js";
+import { debug, getBusinessAddress } from "../utils.js";
 
 function getAddresses(billing_details, business) {
   const customerAddress = [
@@ -20,14 +33,7 @@ function getAddresses(billing_details, business) {
     billing_details.address?.country,
   ].filter((v) => !!v);
 
-  const businessAddress = [
-    business.address_line_1,
-    business.address_line_2,
-    `${business.postal_code} ${business.city}`.trim(),
-    business.state,
-    business.country,
-    "\n",
-  ].filter((v) => !!v);
+  const businessAddress = [...getBusinessAddress(business), "\n"];
 
   // Ensure the customer email ends up on the same line as the business email:
   let customerAddressEmptyLines =
@@ -40,23 +46,79 @@ function getAddresses(billing_details, business) {
   return { customerAddress, businessAddress };
 }
 
-function createReceipt(charge, receiptNumber) {
+/**
+ * The first VAT ID of the customer, if they gave one
+ * @param {any} invoice
+ * @returns {string | null}
+ */
+function getCustomerVatId(invoice) {
+  return invoice.customer_tax_ids[0]?.value ?? null;
+}
+
+function getBusinessDetails(
+  businessAddress,
+  config,
+  l10n,
+  showTaxIdentifiers = true
+) {
+  if (!showTaxIdentifiers) {
+    return [
+      {
+        label: config.business.name,
+        value: businessAddress,
+      },
+    ];
+  }
+
+  return [
+    {
+      label: config.business.name,
+      value: businessAddress,
+    },
+    {
+      label: l10n.t("receipt.taxIdentifier"),
+      value: config.business.tax_identifier,
+    },
+    ...(config.business.vat_identifier
+      ? [
+          {
+            label: l10n.t("receipt.vatId"),
+            value: config.business.vat_identifier,
+          },
+        ]
+      : []),
+  ];
+}
+
+function createReceipt(
+  charge,
+  receiptNumber,
+  { vatRegistered, simplified, l10n, fonts, branding, facturX }
+) {
+  const { t } = l10n;
+  const isPayment = charge.type === "payment";
+
   return new Invoice({
+    localization: l10n,
+    fonts,
+    branding,
+    facturX,
     data: {
       invoice: {
-        name: "Receipt",
+        name: t("receipt.title"),
+        number: receiptNumber,
         header: [
           {
-            label: "Receipt Number",
+            label: t("receipt.number"),
             value: receiptNumber,
           },
           {
-            label: "Charge ID",
+            label: t(isPayment ? "receipt.paymentId" : "receipt.chargeId"),
             value: charge.id,
           },
           {
-            label: "Charge Date",
-            value: formatDate(charge.created, true),
+            label: t(isPayment ? "receipt.paymentDate" : "receipt.chargeDate"),
+            value: l10n.formatDate(charge.created, true),
           },
         ],
 
@@ -65,13 +127,17 @@ function createReceipt(charge, receiptNumber) {
         details: {
           header: [
             {
-              value: "Description",
+              value: t("receipt.description"),
             },
             {
-              value: "Quantity",
+              value: t(vatRegistered ? "receipt.vatRate" : "receipt.quantity"),
             },
             {
-              value: "Amount",
+              value: t(
+                vatRegistered && !simplified
+                  ? "receipt.netAmount"
+                  : "receipt.amount"
+              ),
             },
           ],
         },
@@ -81,50 +147,131 @@ function createReceipt(charge, receiptNumber) {
 }
 
 // @ts-ignore
-async function createAndSaveReceipt(
+export async function createAndSaveReceipt(
   charge,
-  { receiptNumber, receiptDir },
+  { receiptNumber, receiptDir, taxLaw },
   config
 ) {
   debug("createAndSaveReceipt", charge);
 
-  const taxLaw = getTaxLaw(config);
-  // const isSmallInvoice =
-  //   charge.amount < taxLaw.smallInvoiceLimit && charge.currency === "eur";
+  const l10n = getReceiptLocalization(
+    config,
+    charge.billing_details.address?.country
+  );
+  const { t } = l10n;
+
+  const vatRegistered = config.taxation.mode === "vat_registered";
+  const breakdown = vatRegistered
+    ? getTaxBreakdown(
+        charge.invoice,
+        config.taxation.vatRate ?? taxLaw.vatRates.standard
+      )
+    : null;
+
+  // Small amounts only need a simplified receipt, without the customer's
+  // details and with the gross amounts (e.g., a Kleinbetragsrechnung):
+  const simplified = isSmallInvoice(
+    taxLaw,
+    config.taxation.mode,
+    charge,
+    breakdown
+  );
 
-  // TODO: Validate if this is correct; I'm not sure as I currently don't charge VAT.
+  // Small businesses don't charge VAT, but show it if Stripe added any:
   const hasTax = charge.invoice.total !== charge.invoice.total_excluding_tax;
 
-  const totals = hasTax
-    ? [
-        {
-          label: "Subtotal",
-          value: charge.invoice.total_excluding_tax,
-          price: true,
-        },
-        {
-          label: "VAT",
-          value: charge.invoice.total - charge.invoice.total_excluding_tax,
-          price: true,
-        },
+  let totals;
+  if (breakdown && simplified) {
+    totals = [
+      ...(breakdown.rates.length > 1
+        ? breakdown.rates.map((entry) => ({
+            label: t("receipt.totalAt", {
+              rate: l10n.formatPercent(entry.rate),
+            }),
+            value: entry.net + entry.tax,
+            price: true,
+          }))
+        : []),
+      {
+        label: t("receipt.totalPaid"),
+        value: breakdown.gross,
+        price: true,
+      },
+    ];
+  } else if (breakdown) {
+    totals = [
+      ...breakdown.rates.flatMap((entry) => [
         {
-          label: "Total Paid",
-          value: charge.invoice.total,
+          label: t("receipt.netAt", { rate: l10n.formatPercent(entry.rate) }),
+          value: entry.net,
           price: true,
         },
-      ]
-    : [
         {
-          label: "Total Paid",
-          value: charge.invoice.total,
+          label: breakdown.reverseCharge
+            ? t("receipt.vatReverseCharge")
+            : t("receipt.vatAt", { rate: l10n.formatPercent(entry.rate) }),
+          value: entry.tax,
           price: true,
         },
-      ];
+      ]),
+      {
+        label: t("receipt.totalPaid"),
+        value: breakdown.gross,
+        price: true,
+      },
+    ];
+  } else if (hasTax) {
+    totals = [
+      {
+        label: t("receipt.subtotal"),
+        value: charge.invoice.total_excluding_tax,
+        price: true,
+      },
+      {
+        label: t("receipt.vat"),
+        value: charge.invoice.total - charge.invoice.total_excluding_tax,
+        price: true,
+      },
+      {
+        label: t("receipt.totalPaid"),
+        value: charge.invoice.total,
+        price: true,
+      },
+    ];
+  } else {
+    totals = [
+      {
+        label: t("receipt.totalPaid"),
+        value: charge.invoice.total,
+        price: true,
+      },
+    ];
+  }
 
   const legal = [];
-  if (!hasTax) {
+  if (simplified) {
+    legal.push({
+      value: localize(taxLaw.smallInvoice.statement, l10n.language),
+      weight: "normal",
+      color: "primary",
+    });
+  }
+
+  if (breakdown?.reverseCharge) {
     legal.push({
-      value: taxLaw.smallBusinessStatement + "\n",
+      value: localize(taxLaw.reverseChargeStatement, l10n.language) + "\n",
+      weight: "bold",
+      color: "primary",
+    });
+
+    if (!getCustomerVatId(charge.invoice)) {
+      console.warn(
+        `Warning: charge ${charge.id} is reverse charge, but the customer has no VAT ID`
+      );
+    }
+  } else if (!breakdown && !hasTax) {
+    legal.push({
+      value: localize(taxLaw.smallBusinessStatement, l10n.language) + "\n",
       weight: "bold",
       color: "primary",
     });
@@ -132,12 +279,12 @@ async function createAndSaveReceipt(
 
   if (charge.invoice.id) {
     legal.push({
-      value: `Invoice Reference: ${charge.invoice.id}`,
+      value: t("receipt.invoiceReference", { id: charge.invoice.id }),
       weight: "normal",
       color: "primary",
     });
     legal.push({
-      value: `To request a copy of the invoice, please email: ${config.business.email}`,
+      value: t("receipt.invoiceCopy", { email: config.business.email }),
       weight: "normal",
       color: "primary",
     });
@@ -148,45 +295,111 @@ async function createAndSaveReceipt(
     config.business
   );
 
-  return createReceipt(charge, receiptNumber)
-    .setBusiness([
-      {
-        label: config.business.name,
-        value: businessAddress,
-      },
-      {
-        label: "Tax Identifier",
-        value: config.business.tax_identifier,
-      },
-    ])
-    .setCustomer([
+  const customerVatId = getCustomerVatId(charge.invoice);
+
+  // Business customers may need a machine readable invoice, embedded in the
+  // PDF as Factur-X / ZUGFeRD, or as a separate XRechnung:
+  const { profile, output, syntax } = config.einvoice;
+  const eInvoice =
+    profile !== "none" || output !== "pdf"
+      ? getEInvoice(charge, {
+          receiptNumber,
+          config,
+          taxLaw,
+          breakdown,
+          l10n,
+        })
+      : null;
+
+  const isXRechnung = output !== "pdf" || profile === "XRECHNUNG";
+  const missing = isXRechnung ? getMissingXRechnungFields(eInvoice) : [];
+  if (missing.length > 0) {
+    console.warn(
+      `Warning: the XRechnung for receipt ${receiptNumber} is missing mandatory fields:\n  ${missing.join(
+        "\n  "
+      )}`
+    );
+  }
+
+  if (output !== "pdf") {
+    await writeFile(
+      joinPath(receiptDir, `${receiptNumber}.xml`),
+      writeXRechnung(eInvoice, syntax)
+    );
+  }
+
+  if (output === "xrechnung") {
+    return;
+  }
+
+  const facturX =
+    profile === "none"
+      ? null
+      : {
+          xml: crossIndustryInvoice(eInvoice, profile),
+          conformanceLevel: FACTUR_X_PROFILES[profile].conformanceLevel,
+          relationship: FACTUR_X_PROFILES[profile].relationship,
+        };
+
+  const receipt = createReceipt(charge, receiptNumber, {
+    vatRegistered,
+    simplified,
+    l10n,
+    fonts: config.fonts,
+    branding: config.receipts,
+    facturX,
+  }).setBusiness(
+    getBusinessDetails(
+      businessAddress,
+      config,
+      l10n,
+      !simplified || taxLaw.smallInvoice.showTaxIdentifiers
+    )
+  );
+
+  if (!simplified) {
+    receipt.setCustomer([
       {
-        label: "Customer",
+        label: t("receipt.customer"),
         value: customerAddress,
       },
       {
-        label: "Email Address",
+        label: t("receipt.emailAddress"),
         value: charge.billing_details.email,
       },
-      // TODO: VAT Info if necessary
-    ])
+      ...(customerVatId
+        ? [{ label: t("receipt.vatId"), value: customerVatId }]
+        : []),
+    ]);
+  }
+
+  return receipt
     .generate({
       legal,
       lineItems: charge.invoice.lines.map((lineItem) => {
+        const lineTax = breakdown ? getLineTax(lineItem, breakdown) : null;
+
         return [
           {
             // We add a space after the € sign as otherwise it makes the text hard to read:
             value: lineItem.description.replaceAll("€", "€ "),
             subtext:
               lineItem.period.start !== lineItem.period.end
-                ? formatPeriod(lineItem.period, true)
+                ? t("receipt.period", {
+                    start: l10n.formatDate(lineItem.period.start, true),
+                    end: l10n.formatDate(lineItem.period.end, true),
+                  })
                 : "",
           },
           {
-            value: 1,
+            value: lineTax ? l10n.formatPercent(lineTax.rate) : 1,
           },
           {
-            value: lineItem.amount,
+            value: lineTax
+              ? simplified
+                ? lineTax.gross
+                : lineTax.net
+              : lineItem.amount,
             price: true,
           },
         ];
@@ -197,32 +410,275 @@ async function createAndSaveReceipt(
       return writeFile(joinPath(receiptDir, `${receiptNumber}.pdf`), pdf);
     });
 }
+
+function createCreditNote(
+  refund,
+  { creditNoteNumber, receiptNumber, l10n, fonts, branding }
+) {
+  const { t } = l10n;
+
+  return new Invoice({
+    localization: l10n,
+    fonts,
+    branding,
+    data: {
+      invoice: {
+        name: t("creditNote.title"),
+        number: creditNoteNumber,
+        header: [
+          {
+            label: t("creditNote.number"),
+            value: creditNoteNumber,
+          },
+          {
+            label: t("creditNote.originalReceipt"),
+            value: receiptNumber,
+          },
+          {
+            label: t("receipt.chargeId"),
+            value: refund.charge_id,
+          },
+          {
+            label: t("creditNote.refundDate"),
+            value: l10n.formatDate(refund.created, true),
+          },
+        ],
+
+        currency: refund.currency.toUpperCase(),
+
+        details: {
+          header: [
+            {
+              value: t("receipt.description"),
+            },
+            {
+              value: t("receipt.amount"),
+            },
+          ],
+        },
+      },
+    },
+  });
+}
+
+export async function createAndSaveCreditNote(
+  refund,
+  charge,
+  { creditNoteNumber, receiptNumber, creditNoteDir, taxLaw },
+  config
+) {
+  debug("createAndSaveCreditNote", refund);
+
+  const l10n = getReceiptLocalization(
+    config,
+    charge.billing_details.address?.country
+  );
+  const { t } = l10n;
+
+  const vatRegistered = config.taxation.mode === "vat_registered";
+  const breakdown = vatRegistered
+    ? getTaxBreakdown(
+        charge.invoice,
+        config.taxation.vatRate ?? taxLaw.vatRates.standard
+      )
+    : null;
+  const hasTax = breakdown
+    ? breakdown.tax !== 0
+    : charge.invoice.total !== charge.invoice.total_excluding_tax;
+  const isFullRefund = refund.amount * -1 === charge.amount;
+
+  const totals = [
+    {
+      label: t("creditNote.originalTotal"),
+      value: charge.invoice.total,
+      price: true,
+    },
+  ];
+
+  if (hasTax) {
+    // Refunds don't itemise tax, so the VAT is refunded proportionally:
+    const tax = breakdown
+      ? breakdown.tax
+      : charge.invoice.total - charge.invoice.total_excluding_tax;
+    const taxRefunded = Math.round(
+      (tax * refund.amount) / charge.invoice.total
+    );
+
+    if (breakdown) {
+      totals.push({
+        label: t("creditNote.netRefunded"),
+        value: refund.amount - taxRefunded,
+        price: true,
+      });
+    }
+
+    totals.push({
+      label: t("creditNote.vatRefunded"),
+      value: taxRefunded,
+      price: true,
+    });
+  }
+
+  totals.push({
+    label: t("creditNote.totalRefunded"),
+    value: refund.amount,
+    price: true,
+  });
+
+  const legal = [
+    {
+      value:
+        t(
+          isFullRefund
+            ? "creditNote.cancelsInFull"
+            : "creditNote.cancelsInPart",
+          { receiptNumber }
+        ) + "\n",
+      weight: "normal",
+      color: "primary",
+    },
+  ];
+
+  if (breakdown?.reverseCharge) {
+    legal.push({
+      value: localize(taxLaw.reverseChargeStatement, l10n.language) + "\n",
+      weight: "bold",
+      color: "primary",
+    });
+  } else if (!breakdown && !hasTax) {
+    legal.push({
+      value: localize(taxLaw.smallBusinessStatement, l10n.language) + "\n",
+      weight: "bold",
+      color: "primary",
+    });
+  }
+
+  const { businessAddress, customerAddress } = getAddresses(
+    charge.billing_details,
+    config.business
+  );
+
+  const customerVatId = getCustomerVatId(charge.invoice);
+
+  return createCreditNote(refund, {
+    creditNoteNumber,
+    receiptNumber,
+    l10n,
+    fonts: config.fonts,
+    branding: config.receipts,
+  })
+    .setBusiness(getBusinessDetails(businessAddress, config, l10n))
+    .setCustomer([
+      {
+        label: t("receipt.customer"),
+        value: customerAddress,
+      },
+      {
+        label: t("receipt.emailAddress"),
+        value: charge.billing_details.email,
+      },
+      ...(customerVatId
+        ? [{ label: t("receipt.vatId"), value: customerVatId }]
+        : []),
+    ])
+    .generate({
+      legal,
+      lineItems: [
+        [
+          {
+            value: t("creditNote.refundOf", { receiptNumber }),
+            // We add a space after the € sign as otherwise it makes the text hard to read:
+            subtext: charge.description?.replaceAll("€", "€ ") ?? "",
+          },
+          {
+            value: refund.amount,
+            price: true,
+          },
+        ],
+      ],
+      totals,
+    })
+    .then((pdf) => {
+      return writeFile(joinPath(creditNoteDir, `${creditNoteNumber}.pdf`), pdf);
+    });
+}
+
+/**
+ * Returns the receipt number of a charge, issuing the next one of the month of
+ * the charge if it doesn't have one yet
+ *
+ * @param {Ledger} ledger
+ * @param {string} account
+ * @param {import("../stripe.js").Charge | import("../stripe.js").Payment} charge
+ * @returns {string}
+ */
+export function assignReceiptNumber(ledger, account, charge) {
+  const receiptDate = Intl.DateTimeFormat("fr-CA", {
+    year: "numeric",
+    month: "2-digit",
+  }).format(charge.created);
+
+  return ledger.assign(
+    "receipts",
+    `${account.toUpperCase()}-${receiptDate}`,
+    charge.id
+  );
+}
+
+/**
+ * Returns the credit note number of a refund, issuing the next one of the
+ * month of the refund if it doesn't have one yet
+ *
+ * @param {Ledger} ledger
+ * @param {string} account
+ * @param {import("../stripe.js").Refund} refund
+ * @returns {string}
+ */
+export function assignCreditNoteNumber(ledger, account, refund) {
+  const creditNoteDate = Intl.DateTimeFormat("fr-CA", {
+    year: "numeric",
+    month: "2-digit",
+  }).format(refund.created);
+
+  return ledger.assign(
+    "credit_notes",
+    `${account.toUpperCase()}-CN-${creditNoteDate}`,
+    refund.id
+  );
+}
+
 export default async function createAndSaveReceipts(
   stripe,
   account,
   period,
   config
 ) {
-  validateTaxLaw(config);
+  const taxLaw = await getTaxLaw(config);
 
   const balanceTransactions = await fetchBalanceTransactions(stripe, {
     period,
   });
 
   if (balanceTransactions.totals.errors > 0) {
-    balanceTransactions.results.errors.forEach((err) => {
-      console.log({ error: err });
-    });
-    process.exit(1);
-    return;
+    throw new Error(
+      `Failed to process balance transactions: ${balanceTransactions.results.errors.join(
+        ", "
+      )}`
+    );
   }
 
   // Ensure the output directory exists:
   const receiptDir = joinPath(config.output.directory, "receipts");
   await mkdirp(receiptDir);
 
-  // For each charge, create a receipt:
-  const receipts = balanceTransactions.results.charges
+  const ledger = await Ledger.load(config.output.directory);
+
+  // Issue receipt numbers in chronological order, charges that already have a
+  // receipt number keep it:
+  const charges = [
+    ...balanceTransactions.results.charges,
+    ...balanceTransactions.results.payments,
+  ]
     // Stripe returns reverse chronological, resulting in incorrect receipt numbers
     .sort((a, b) => {
       if (a.created < b.created) {
@@ -233,25 +689,80 @@ export default async function createAndSaveReceipts(
         return 0;
       }
     })
-    .map((charge, index) => {
-      const receiptDate = Intl.DateTimeFormat("fr-CA", {
-        year: "numeric",
-        month: "2-digit",
-      }).format(charge.created);
+    .map((charge) => ({
+      charge,
+      receiptNumber: assignReceiptNumber(ledger, account, charge),
+    }));
+
+  // Each refund gets a credit note referencing the receipt of the original
+  // charge, which may be from an earlier period:
+  const refunds = sortByCreated(balanceTransactions.results.refunds)
+    .filter((refund) => {
+      if (
+        !refund.charge_id ||
+        !ledger.getNumber("receipts", refund.charge_id)
+      ) {
+        console.warn(
+          `Warning: skipping credit note for refund ${refund.id}, no receipt has been issued for charge ${refund.charge_id}, please create receipts for the period of the charge first`
+        );
+        return false;
+      }
+
+      return true;
+    })
+    .map((refund) => ({
+      refund,
+      creditNoteNumber: assignCreditNoteNumber(ledger, account, refund),
+      receiptNumber: ledger.getNumber("receipts", refund.charge_id),
+    }));
+
+  // Persist the numbers before generating, so they're kept even if generating
+  // a receipt fails:
+  await ledger.save();
+  ledger.reportGaps("receipts");
+  ledger.reportGaps("credit_notes");
+
+  // Fetch the original charges of refunds from earlier periods before any
+  // documents are generated, so that a failing receipt can't go unhandled
+  // while these requests are made:
+  const creditNotes = [];
+  for (const { refund, creditNoteNumber, receiptNumber } of refunds) {
+    const charge =
+      charges.find(({ charge }) => charge.id === refund.charge_id)?.charge ??
+      (await fetchCharge(stripe, refund.charge_id));
+
+    creditNotes.push({ refund, charge, creditNoteNumber, receiptNumber });
+  }
 
-      const receiptNumber = `${account.toUpperCase()}-${receiptDate}-${String(
-        index + 1
-      ).padStart(4, "0")}`;
+  const creditNoteDir = joinPath(config.output.directory, "credit-notes");
+  if (creditNotes.length > 0) {
+    await mkdirp(creditNoteDir);
+  }
 
+  // For each charge, create a receipt, and for each refund a credit note:
+  const receipts = [
+    ...charges.map(({ charge, receiptNumber }) => {
       return createAndSaveReceipt(
         charge,
         {
           receiptDir,
           receiptNumber,
+          taxLaw,
         },
         config
       );
-    });
+    }),
+    ...creditNotes.map(({ refund, charge, creditNoteNumber, receiptNumber }) =>
+      createAndSaveCreditNote(
+        refund,
+        charge,
+        { creditNoteNumber, receiptNumber, creditNoteDir, taxLaw },
+        config
+      )
+    ),
+  ];
 
   await Promise.all(receipts);
+
+  return getActionReport(receipts.length, balanceTransactions);
 }
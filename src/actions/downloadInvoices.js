@@ -9,6 +9,7 @@ import { mkdirp } from "fs-extra";
  * @param {string} accountName
  * @param {import("../date-fns").Period} period
  * @param {import("../configuration").configuration} config
+ * @returns {Promise<import("../report.js").ActionReport>}
  */
 export default async function downloadInvoices(
   stripe,
@@ -79,5 +80,10 @@ export default async function downloadInvoices(
     promises.push(finished(Readable.fromWeb(invoicePdf.body).pipe(fileStream)));
   }
 
-  await Promise.allSettled(promises);
+  const downloads = await Promise.allSettled(promises);
+
+  return {
+    documents: downloads.filter(({ status }) => status === "fulfilled").length,
+    totals: null,
+  };
 }
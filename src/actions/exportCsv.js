@@ -0,0 +1,208 @@
+import { join as joinPath } from "node:path";
+import { writeFile } from "node:fs/promises";
+import { mkdirp } from "fs-extra";
+
+import { fetchBalanceTransactions } from "../stripe.js";
+import { formatDatePattern, getPeriodSlug } from "../date-fns.js";
+import { formatAmount, toCsv } from "../csv.js";
+import Ledger from "../ledger.js";
+import { getActionReport } from "../report.js";
+
+// Totals which are counts of transactions rather than amounts:
+const countTotals = [
+  "errors",
+  "unavailable_transactions",
+  "pending_transactions",
+];
+
+/**
+ * Exports the charges, refunds, fees, payouts and totals for the period as CSV
+ * files, formatted according to the export configuration
+ *
+ * @param {import("stripe").Stripe} stripe
+ * @param {string} account
+ * @param {import("../date-fns").Period} period
+ * @param {import("../configuration").configuration} config
+ * @returns {Promise<import("../report.js").ActionReport>}
+ */
+export default async function exportCsv(stripe, account, period, config) {
+  const { delimiter, decimalSeparator, dateFormat, bom } = config.export;
+
+  if (delimiter === decimalSeparator) {
+    throw new Error(
+      "export.delimiter and export.decimalSeparator must be different"
+    );
+  }
+
+  const balanceTransactions = await fetchBalanceTransactions(stripe, {
+    period,
+  });
+  const { results, totals } = balanceTransactions;
+
+  // Totals with transactions missing from them would look complete:
+  if (totals.errors > 0) {
+    throw new Error(
+      `Failed to process balance transactions: ${results.errors.join(", ")}`
+    );
+  }
+
+  results.warnings.forEach((warning) => console.warn(`Warning: ${warning}`));
+
+  const ledger = await Ledger.load(config.output.directory);
+
+  const date = (value) => (value ? formatDatePattern(value, dateFormat) : "");
+  const amount = (value) => formatAmount(value, decimalSeparator);
+
+  const files = {
+    charges: [
+      [
+        "type",
+        "id",
+        "transaction_id",
+        "receipt_number",
+        "created",
+        "available_on",
+        "description",
+        "customer_name",
+        "customer_email",
+        "country",
+        "payment_method",
+        "invoice_number",
+        "currency",
+        "amount",
+        "fee",
+        "net",
+        "exchange_rate",
+      ],
+      ...[...results.charges, ...results.payments].map((charge) => [
+        charge.type,
+        charge.id,
+        charge.transaction_id,
+        ledger.getNumber("receipts", charge.id),
+        date(charge.created),
+        date(charge.available_on),
+        charge.description,
+        charge.customer?.name ?? charge.billing_details?.name,
+        charge.customer?.email ?? charge.billing_details?.email,
+        charge.billing_details?.address?.country,
+        charge.payment_method?.type,
+        charge.invoice?.number,
+        charge.currency.toUpperCase(),
+        amount(charge.amount),
+        amount(charge.fee),
+        amount(charge.net),
+        String(charge.exchange_rate).replace(".", decimalSeparator),
+      ]),
+    ],
+    refunds: [
+      [
+        "id",
+        "transaction_id",
+        "charge_id",
+        "credit_note_number",
+        "created",
+        "available_on",
+        "description",
+        "currency",
+        "amount",
+      ],
+      ...results.refunds.map((refund) => [
+        refund.id,
+        refund.transaction_id,
+        refund.charge_id,
+        ledger.getNumber("credit_notes", refund.id),
+        date(refund.created),
+        date(refund.available_on),
+        refund.description,
+        refund.currency.toUpperCase(),
+        amount(refund.amount),
+      ]),
+    ],
+    fees: [
+      [
+        "type",
+        "transaction_id",
+        "charge_id",
+        "created",
+        "available_on",
+        "description",
+        "currency",
+        "amount",
+      ],
+      ...[
+        ...results.stripe_fees,
+        ...results.application_fees,
+        ...results.passthrough_fees,
+        ...results.taxes,
+        ...results.stripe_fx_fees,
+      ].map((fee) => [
+        fee.type,
+        fee.transaction_id,
+        fee.charge_id,
+        date(fee.created),
+        date(fee.available_on),
+        fee.description,
+        fee.currency.toUpperCase(),
+        amount(fee.amount),
+      ]),
+    ],
+    payouts: [
+      [
+        "id",
+        "transaction_id",
+        "payout_number",
+        "created",
+        "available_on",
+        "arrival_date",
+        "status",
+        "currency",
+        "amount",
+        "fee",
+      ],
+      ...results.payouts.map((payout) => [
+        payout.id,
+        payout.transaction_id,
+        ledger.getNumber("payouts", payout.id),
+        date(payout.created),
+        date(payout.available_on),
+        date(payout.arrival_date),
+        payout.status,
+        payout.currency.toUpperCase(),
+        amount(payout.amount),
+        amount(payout.fee),
+      ]),
+    ],
+    totals: [
+      ["total", "value"],
+      ["account", account],
+      ["period_start", date(period.start)],
+      // The end of a period is the start of the following day:
+      ["period_end", date(new Date(period.end.valueOf() - 1))],
+      ...Object.entries(totals).map(([name, value]) => [
+        name,
+        countTotals.includes(name) ? value : amount(value),
+      ]),
+    ],
+  };
+
+  // Ensure the output directory exists:
+  const exportDir = joinPath(config.output.directory, "exports");
+  await mkdirp(exportDir);
+
+  const prefix = `${account.toUpperCase()}-${getPeriodSlug(period)}`;
+
+  await Promise.all(
+    Object.entries(files).map(([name, rows]) => {
+      const file = joinPath(exportDir, `${prefix}-${name}.csv`);
+      console.log(`Writing ${rows.length - 1} rows to ${file}`);
+
+      return writeFile(
+        file,
+        (bom ? "\uFEFF" : "") + toCsv(rows, { delimiter }),
+        "utf8"
+      );
+    })
+  );
+
+  return getActionReport(Object.keys(files).length, balanceTransactions);
+}
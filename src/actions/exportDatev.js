@@ -0,0 +1,374 @@
+import { join as joinPath } from "node:path";
+import { writeFile } from "node:fs/promises";
+import { mkdirp } from "fs-extra";
+
+import { fetchBalanceTransactions } from "../stripe.js";
+import {
+  formatDatePattern,
+  getGeneratedAt,
+  getPeriodSlug,
+} from "../date-fns.js";
+import { encodeWindows1252, formatAmount } from "../csv.js";
+import Ledger from "../ledger.js";
+import { getActionReport } from "../report.js";
+
+// Default account numbers for each chart of accounts (Kontenrahmen):
+const defaultAccounts = {
+  SKR03: {
+    // Geldtransit
+    stripe: 1360,
+    // Bank
+    bank: 1200,
+    // Erlöse als Kleinunternehmer i.S.d. § 19 Abs. 1 UStG
+    revenue: 8195,
+    // Nebenkosten des Geldverkehrs
+    fees: 4970,
+  },
+  SKR04: {
+    stripe: 1460,
+    bank: 1800,
+    revenue: 4185,
+    fees: 6855,
+  },
+};
+
+// The leading columns of a Buchungsstapel, the remaining columns are optional
+// and left out:
+const columns = [
+  "Umsatz (ohne Soll/Haben-Kz)",
+  "Soll/Haben-Kennzeichen",
+  "WKZ Umsatz",
+  "Kurs",
+  "Basis-Umsatz",
+  "WKZ Basis-Umsatz",
+  "Konto",
+  "Gegenkonto (ohne BU-Schlüssel)",
+  "BU-Schlüssel",
+  "Belegdatum",
+  "Belegfeld 1",
+  "Belegfeld 2",
+  "Skonto",
+  "Buchungstext",
+];
+
+/**
+ * @typedef Booking
+ * @property {number} amount in cents, always positive
+ * @property {string} currency
+ * @property {number} account the account to debit (Soll)
+ * @property {number} contraAccount the account to credit (Haben)
+ * @property {Date} date
+ * @property {string} [reference] Belegfeld 1, e.g., the receipt number
+ * @property {string} text
+ */
+
+/**
+ * Quotes a text field, DATEV doesn't support escaping quotes, so they're
+ * replaced, and truncates it to the maximum length of the field
+ *
+ * @param {string | null | undefined} value
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function text(value, maxLength) {
+  if (value === null || value === undefined) {
+    return '""';
+  }
+
+  return `"${String(value).replaceAll('"', "'").slice(0, maxLength)}"`;
+}
+
+/**
+ * @param {import("../date-fns").Period} period
+ * @param {string} fiscalYearStart as MM-DD
+ * @returns {Date}
+ */
+function getFiscalYearStart(period, fiscalYearStart) {
+  const [month, day] = fiscalYearStart.split("-").map((v) => parseInt(v, 10));
+  const start = new Date(period.start.getFullYear(), month - 1, day);
+
+  // The fiscal year may have started in the previous calendar year:
+  if (start > period.start) {
+    start.setFullYear(start.getFullYear() - 1);
+  }
+
+  return start;
+}
+
+/**
+ * @param {Booking} booking
+ * @returns {string[]}
+ */
+function bookingRow(booking) {
+  return [
+    formatAmount(booking.amount, ","),
+    text("S", 1),
+    text(booking.currency.toUpperCase(), 3),
+    "",
+    "",
+    "",
+    String(booking.account),
+    String(booking.contraAccount),
+    "",
+    formatDatePattern(booking.date, "DDMM"),
+    text(booking.reference, 36),
+    text("", 12),
+    "",
+    text(booking.text, 60),
+  ];
+}
+
+/**
+ * Exports the charges, refunds, fees and payouts for the period as a DATEV
+ * Buchungsstapel (EXTF format), for import by a tax accountant
+ *
+ * @param {import("stripe").Stripe} stripe
+ * @param {string} account
+ * @param {import("../date-fns").Period} period
+ * @param {import("../configuration").configuration} config
+ * @returns {Promise<import("../report.js").ActionReport>}
+ */
+export default async function exportDatev(stripe, account, period, config) {
+  // Revenue is booked gross to the small business account without a tax key,
+  // which would be wrong bookings for a VAT registered business:
+  if (config.taxation.mode !== "small_business") {
+    throw new Error(
+      'The DATEV export only supports small businesses (taxation.mode = "small_business"), as VAT registered revenue needs to be booked by VAT rate, please export the CSV files for your tax accountant instead'
+    );
+  }
+
+  const datev = config.datev;
+  const accounts = {
+    ...defaultAccounts[datev.chartOfAccounts],
+    ...Object.fromEntries(
+      Object.entries(datev.accounts).filter(([, value]) => value !== null)
+    ),
+  };
+
+  // The end of a period is the start of the following day:
+  const lastDay = new Date(period.end.valueOf() - 1);
+  const fiscalYearStart = getFiscalYearStart(period, datev.fiscalYearStart);
+  const nextFiscalYearStart = new Date(fiscalYearStart);
+  nextFiscalYearStart.setFullYear(nextFiscalYearStart.getFullYear() + 1);
+
+  // Document dates only have a day and month, so a Buchungsstapel can't span
+  // more than one fiscal year:
+  if (lastDay >= nextFiscalYearStart) {
+    throw new Error(
+      "The period spans more than one fiscal year, please export each fiscal year separately"
+    );
+  }
+
+  const balanceTransactions = await fetchBalanceTransactions(stripe, {
+    period,
+  });
+  const { results } = balanceTransactions;
+
+  results.warnings.forEach((warning) => console.warn(`Warning: ${warning}`));
+
+  const ledger = await Ledger.load(config.output.directory);
+  const missingNumbers = [];
+
+  const receiptNumber = (chargeId) => {
+    const number = ledger.getNumber("receipts", chargeId);
+    if (!number) {
+      missingNumbers.push(chargeId);
+    }
+
+    return number ?? chargeId;
+  };
+
+  // Dispute fees are recorded with the dispute as their source, so they
+  // reference the receipt of the disputed charge:
+  const disputedCharges = new Map(
+    results.disputes.map((dispute) => [dispute.id, dispute.charge_id])
+  );
+  const feeReference = (fee) => {
+    const chargeId = disputedCharges.get(fee.charge_id) ?? fee.charge_id;
+
+    return ledger.getNumber("receipts", chargeId) ?? fee.transaction_id;
+  };
+
+  /** @type {Booking[]} */
+  const bookings = [];
+
+  // Revenue, from the Stripe balance to the revenue account:
+  [...results.charges, ...results.payments].forEach((charge) => {
+    bookings.push({
+      amount: charge.amount,
+      currency: charge.currency,
+      account: accounts.stripe,
+      contraAccount: accounts.revenue,
+      date: charge.created,
+      reference: receiptNumber(charge.id),
+      text: charge.customer?.name ?? charge.description,
+    });
+  });
+
+  // Refunds reverse the revenue booking:
+  results.refunds.forEach((refund) => {
+    const creditNoteNumber = ledger.getNumber("credit_notes", refund.id);
+    if (!creditNoteNumber) {
+      missingNumbers.push(refund.id);
+    }
+
+    bookings.push({
+      amount: refund.amount * -1,
+      currency: refund.currency,
+      account: accounts.revenue,
+      contraAccount: accounts.stripe,
+      date: refund.created,
+      reference: creditNoteNumber ?? refund.id,
+      text: `Refund ${refund.charge_id}`,
+    });
+  });
+
+  // Fees, from the Stripe balance to the fees account:
+  [
+    ...results.stripe_fees,
+    ...results.application_fees,
+    ...results.passthrough_fees,
+    ...results.taxes,
+    ...results.stripe_fx_fees,
+  ].forEach((fee) => {
+    if (fee.amount === 0) {
+      return;
+    }
+
+    // Negative fees are fees being returned:
+    const isDebit = fee.amount > 0;
+
+    bookings.push({
+      amount: Math.abs(fee.amount),
+      currency: fee.currency,
+      account: isDebit ? accounts.fees : accounts.stripe,
+      contraAccount: isDebit ? accounts.stripe : accounts.fees,
+      date: fee.created,
+      // Fees of a charge or dispute reference the receipt, other fees (e.g.,
+      // billing fees) reference the balance transaction:
+      reference: feeReference(fee),
+      text: fee.description,
+    });
+  });
+
+  // Chargebacks reverse the revenue booking, and are reinstated if the
+  // dispute is won, the dispute fee is booked along with the other fees:
+  results.disputes.forEach((dispute) => {
+    const isReversal = dispute.amount > 0;
+
+    bookings.push({
+      amount: Math.abs(dispute.amount),
+      currency: dispute.currency,
+      account: isReversal ? accounts.stripe : accounts.revenue,
+      contraAccount: isReversal ? accounts.revenue : accounts.stripe,
+      date: dispute.created,
+      reference: ledger.getNumber("receipts", dispute.charge_id) ?? dispute.id,
+      text: `Chargeback (${dispute.outcome}) ${dispute.charge_id}`,
+    });
+  });
+
+  // Payouts, from the Stripe balance to the bank account:
+  results.payouts.forEach((payout) => {
+    const payoutNumber = ledger.getNumber("payouts", payout.id);
+    if (!payoutNumber) {
+      missingNumbers.push(payout.id);
+    }
+
+    bookings.push({
+      amount: payout.amount,
+      currency: payout.currency,
+      account: accounts.bank,
+      contraAccount: accounts.stripe,
+      date: payout.created,
+      reference: payoutNumber ?? payout.id,
+      text: `Stripe payout ${payout.id}`,
+    });
+  });
+
+  // There are no default accounts for the other balance transactions, they
+  // need to be booked by hand for the Stripe balance account to add up:
+  const unbooked = [
+    ...results.adjustments,
+    ...results.transfers,
+    ...results.application_fee_refunds,
+    ...results.payout_reversals,
+    ...results.reserve_transactions,
+  ];
+  if (unbooked.length > 0) {
+    console.warn(
+      `Warning: ${unbooked
+        .map(({ type, transaction_id }) => `${transaction_id} (${type})`)
+        .join(", ")} can't be exported to DATEV, please book ${
+        unbooked.length === 1 ? "it" : "them"
+      } on account ${accounts.stripe} by hand`
+    );
+  }
+
+  if (missingNumbers.length > 0) {
+    console.warn(
+      `Warning: no document number has been issued for ${missingNumbers.join(
+        ", "
+      )}, please create the receipts and payout receipts for the period first`
+    );
+  }
+
+  const createdAt = getGeneratedAt();
+  const header = [
+    text("EXTF", 4),
+    "700",
+    "21",
+    text("Buchungsstapel", 14),
+    "13",
+    formatDatePattern(createdAt, "YYYYMMDDHHmmss") +
+      String(createdAt.getMilliseconds()).padStart(3, "0"),
+    "",
+    text("RE", 2),
+    text("", 25),
+    text("", 25),
+    String(datev.consultantNumber),
+    String(datev.clientNumber),
+    formatDatePattern(fiscalYearStart, "YYYYMMDD"),
+    String(datev.accountLength),
+    formatDatePattern(period.start, "YYYYMMDD"),
+    formatDatePattern(lastDay, "YYYYMMDD"),
+    text(`Stripe ${account.toUpperCase()}`, 30),
+    text("", 2),
+    "1",
+    "0",
+    "0",
+    text("EUR", 3),
+    "",
+    text("", 0),
+    "",
+    "",
+    text(datev.chartOfAccounts.slice(3), 2),
+    "",
+    "",
+    text("", 0),
+    text("", 0),
+  ];
+
+  const lines = [
+    header.join(";"),
+    columns.join(";"),
+    ...bookings
+      .sort((a, b) => a.date.valueOf() - b.date.valueOf())
+      .map((booking) => bookingRow(booking).join(";")),
+  ];
+
+  // Ensure the output directory exists:
+  const exportDir = joinPath(config.output.directory, "exports");
+  await mkdirp(exportDir);
+
+  const file = joinPath(
+    exportDir,
+    `EXTF_Buchungsstapel_${account.toUpperCase()}_${getPeriodSlug(period)}.csv`
+  );
+
+  console.log(`Writing ${bookings.length} bookings to ${file}`);
+
+  // DATEV expects files to be encoded as Windows-1252:
+  await writeFile(file, encodeWindows1252(lines.join("\r\n") + "\r\n"));
+
+  return getActionReport(1, balanceTransactions);
+}
@@ -4,26 +4,34 @@ import { mkdirp } from "fs-extra";
 
 import { fetchBalanceTransactions, fetchPayouts } from "../stripe.js";
 import { debug } from "../utils.js";
-import { formatDate, formatIsoDate, sortByCreated } from "../date-fns.js";
-import Invoice, { prettyPrice } from "../generators/invoice.js";
+import Ledger from "../ledger.js";
+import { sortByCreated } from "../date-fns.js";
+import { getReceiptLocalization } from "../i18n.js";
+import Invoice from "../generators/invoice.js";
+
+function createReceipt(payout, payoutNumber, l10n, { fonts, branding }) {
+  const { t } = l10n;
 
-function createReceipt(payout, payoutNumber) {
   return new Invoice({
+    localization: l10n,
+    fonts,
+    branding,
     data: {
       invoice: {
-        name: "Payout",
+        name: t("payout.title"),
+        number: payoutNumber,
         header: [
           {
-            label: "Payout Number",
+            label: t("payout.number"),
             value: payoutNumber,
           },
           {
-            label: "Payout ID",
+            label: t("payout.id"),
             value: payout.id,
           },
           {
-            label: "Payout Date",
-            value: formatDate(payout.created * 1000, true),
+            label: t("payout.date"),
+            value: l10n.formatDate(payout.created * 1000, true),
           },
         ],
 
@@ -32,10 +40,10 @@ function createReceipt(payout, payoutNumber) {
         details: {
           header: [
             {
-              value: "Description",
+              value: t("receipt.description"),
             },
             {
-              value: "Amount",
+              value: t("receipt.amount"),
             },
           ],
         },
@@ -44,34 +52,61 @@ function createReceipt(payout, payoutNumber) {
   });
 }
 
-function subItemFor(tx) {
+function subItemFor(tx, l10n) {
+  const { t } = l10n;
+
   if (tx.type === "refund") {
     return {
-      description: `Refund: ${tx.charge_id}`,
-      date: formatIsoDate(tx.available_on),
+      description: t("payout.refund", { id: tx.charge_id }),
+      date: l10n.formatDate(tx.available_on),
       price: tx.amount,
     };
   }
   if (tx.type === "charge") {
+    const customer = tx.customer.name ?? tx.customer.email;
+
     return {
       description: tx.invoice.id
-        ? `Subscription: ${tx.customer.name ?? tx.customer.email}, ${
-            tx.invoice.number
-          }`
-        : `Payment: ${tx.customer.name ?? tx.customer.email}`,
-      date: formatIsoDate(tx.available_on),
+        ? t("payout.subscription", { customer, number: tx.invoice.number })
+        : t("payout.charge", { customer }),
+      date: l10n.formatDate(tx.available_on),
+      price: tx.amount,
+    };
+  } else if (tx.type === "payment") {
+    // Payments from platform transfers have no customer details:
+    const payer = tx.customer.name ?? tx.customer.email;
+
+    return {
+      description: t("payout.payment", {
+        payer: payer ? `${payer}, ${tx.id}` : tx.description ?? tx.id,
+      }),
+      date: l10n.formatDate(tx.available_on),
+      price: tx.amount,
+    };
+  } else if (tx.type === "dispute") {
+    return {
+      description: t(
+        tx.reversal ? "payout.chargebackReversal" : "payout.chargeback",
+        {
+          outcome: t(`payout.outcome.${tx.outcome}`),
+          id: tx.charge_id ?? tx.id,
+        }
+      ),
+      date: l10n.formatDate(tx.available_on),
       price: tx.amount,
     };
   } else if (
     tx.type === "application_fee" ||
     tx.type === "passthrough_fee" ||
-    tx.type === "stripe_fee"
+    tx.type === "stripe_fee" ||
+    tx.type === "stripe_fx_fee" ||
+    tx.type === "tax"
   ) {
     let description = tx.description.replace(/\sfee$/, " fees");
 
     return {
       description,
-      date: tx.created ? formatIsoDate(tx.created) : null,
+      date: tx.created ? l10n.formatDate(tx.created) : null,
       price: tx.amount * -1,
     };
   } else if (tx.type === "stripe_billing_fee") {
@@ -79,13 +114,15 @@ function subItemFor(tx) {
 
     return {
       description,
-      date: tx.created ? formatIsoDate(tx.created) : null,
+      date: tx.created ? l10n.formatDate(tx.created) : null,
       price: tx.amount * -1,
     };
   } else {
-    console.error(tx);
-    process.exit(1);
-    return null;
+    return {
+      description: tx.description ?? tx.type,
+      date: tx.created ? l10n.formatDate(tx.created) : null,
+      price: tx.amount,
+    };
   }
 }
 
@@ -94,21 +131,42 @@ function getLineItemType(txType, tx) {
     return "refund";
   } else if (txType === "charge") {
     return "charge";
+  } else if (txType === "payment") {
+    return "payment";
+  } else if (txType === "dispute") {
+    return "dispute";
   } else if (
     txType === "application_fee" ||
     txType === "passthrough_fee" ||
-    txType === "stripe_fee"
+    txType === "stripe_fee" ||
+    txType === "stripe_fx_fee" ||
+    txType === "tax"
   ) {
     return "fees";
   } else if (txType === "stripe_billing_fee") {
     return "stripe_billing_fee";
+  } else if (txType === "adjustment") {
+    return "adjustment";
+  } else if (txType === "application_fee_refund") {
+    return "application_fee_refund";
+  } else if (txType.startsWith("transfer")) {
+    return "transfer";
+  } else if (txType === "payout_cancel" || txType === "payout_failure") {
+    return "payout_reversal";
+  } else if (txType === "reserve_transaction" || txType === "reserved_funds") {
+    return "reserve";
   } else {
-    console.error(txType, tx);
-    process.exit(1);
+    console.warn(
+      `Warning: unhandled transaction type on payout: ${txType}, id: ${tx.transaction_id}`
+    );
+    return txType;
   }
 }
 
-function payoutLineItems(transactions) {
+// Line item types that are shown as money leaving the account:
+const feeLineItemTypes = ["fees", "stripe_billing_fee"];
+
+function payoutLineItems(transactions, l10n) {
   return transactions
     .reduce((txs, tx) => {
       console.log(tx);
@@ -117,14 +175,18 @@ function payoutLineItems(transactions) {
         return txs;
       }
 
-      if (tx.type === "charge") {
+      if (
+        tx.type === "charge" ||
+        tx.type === "payment" ||
+        tx.type === "dispute"
+      ) {
         txs.push(tx);
         return txs;
       }
 
       if (
-        tx.description.startsWith("Billing - Usage Fee") ||
-        tx.description.startsWith("Post Payment Invoices")
+        tx.description?.startsWith("Billing - Usage Fee") ||
+        tx.description?.startsWith("Post Payment Invoices")
       ) {
         tx.type = "stripe_billing_fee";
         txs.push(tx);
@@ -132,7 +194,7 @@ function payoutLineItems(transactions) {
       }
 
       if (
-        tx.description.startsWith("Billing") &&
+        tx.description?.startsWith("Billing") &&
         tx.description.includes("Subscriptions")
       ) {
         const date = tx.description.match(/(\d{4}-\d{2}-\d{2})/)[1];
@@ -145,7 +207,9 @@ function payoutLineItems(transactions) {
       if (
         tx.type === "application_fee" ||
         tx.type === "stripe_fee" ||
-        tx.type === "passthrough_fee"
+        tx.type === "stripe_fx_fee" ||
+        tx.type === "passthrough_fee" ||
+        tx.type === "tax"
       ) {
         const prev = txs.findIndex(
           (stx) => stx.type === tx.type && stx.description === tx.description
@@ -176,23 +240,44 @@ function payoutLineItems(transactions) {
       if (existing) {
         lineItems[existingIdx] = {
           ...lineItems[existingIdx],
-          subitems: [...existing.subitems, subItemFor(tx)],
+          subitems: [...existing.subitems, subItemFor(tx, l10n)],
           amount: existing.amount + tx.amount,
         };
       } else {
         let description = "";
         switch (type) {
           case "charge":
-            description = "Charge";
+            description = l10n.t("payout.charges");
+            break;
+          case "payment":
+            description = l10n.t("payout.payments");
             break;
           case "fees":
-            description = "Fees";
+            description = l10n.t("payout.fees");
             break;
           case "stripe_billing_fee":
-            description = "Stripe Billing Fees";
+            description = l10n.t("payout.billingFees");
             break;
           case "refund":
-            description = "Refunds";
+            description = l10n.t("payout.refunds");
+            break;
+          case "dispute":
+            description = l10n.t("payout.disputes");
+            break;
+          case "adjustment":
+            description = l10n.t("payout.adjustments");
+            break;
+          case "application_fee_refund":
+            description = l10n.t("payout.applicationFeeRefunds");
+            break;
+          case "transfer":
+            description = l10n.t("payout.transfers");
+            break;
+          case "payout_reversal":
+            description = l10n.t("payout.payoutReversals");
+            break;
+          case "reserve":
+            description = l10n.t("payout.reserves");
             break;
           default:
             description = tx.description;
@@ -201,7 +286,7 @@ function payoutLineItems(transactions) {
         const lineItem = {
           type,
           description,
-          subitems: [subItemFor(tx)],
+          subitems: [subItemFor(tx, l10n)],
           amount: tx.amount,
         };
 
@@ -218,17 +303,16 @@ function payoutLineItems(transactions) {
           subitems: lineItem.subitems.filter((item) => !!item),
         },
         {
-          value:
-            lineItem.type === "charge" || lineItem.type === "refund"
-              ? lineItem.amount
-              : lineItem.amount * -1,
+          value: feeLineItemTypes.includes(lineItem.type)
+            ? lineItem.amount * -1
+            : lineItem.amount,
           price: true,
         },
       ];
     });
 }
 
-async function savePayoutReceipt(
+export async function savePayoutReceipt(
   payout,
   transactions,
   { payoutsDir, payoutNumber },
@@ -237,12 +321,17 @@ async function savePayoutReceipt(
   debug(`payout ${payoutNumber}`, payout);
   debug("payout.transactions", transactions);
 
-  return createReceipt(payout, payoutNumber)
+  const l10n = getReceiptLocalization(config);
+
+  return createReceipt(payout, payoutNumber, l10n, {
+    fonts: config.fonts,
+    branding: config.receipts,
+  })
     .generate({
-      lineItems: payoutLineItems(transactions),
+      lineItems: payoutLineItems(transactions, l10n),
       totals: [
         {
-          label: "Payout",
+          label: l10n.t("payout.total"),
           value: payout.amount,
           price: true,
         },
@@ -253,6 +342,53 @@ async function savePayoutReceipt(
     });
 }
 
+/**
+ * Returns the payout number of a payout, issuing the next one of the month the
+ * payout was created in if it doesn't have one yet
+ *
+ * @param {Ledger} ledger
+ * @param {string} account
+ * @param {import("stripe").Stripe.Payout} payout
+ * @returns {string}
+ */
+export function assignPayoutNumber(ledger, account, payout) {
+  const payoutDate = Intl.DateTimeFormat("fr-CA", {
+    year: "numeric",
+    month: "2-digit",
+  }).format(payout.created * 1000);
+
+  return ledger.assign(
+    "payouts",
+    `${payoutDate}-${account.toUpperCase()}`,
+    payout.id
+  );
+}
+
+/**
+ * The transactions of a payout to list on its statement, oldest first
+ *
+ * @param {import("../stripe.js").Results} results
+ * @returns {object[]}
+ */
+export function getPayoutTransactions(results) {
+  return sortByCreated([
+    ...results.charges,
+    ...results.payments,
+    ...results.refunds,
+    ...results.disputes,
+    ...results.adjustments,
+    ...results.application_fee_refunds,
+    ...results.transfers,
+    ...results.payout_reversals,
+    ...results.reserve_transactions,
+    ...results.stripe_fx_fees,
+    ...results.taxes,
+    ...results.stripe_fees,
+    ...results.passthrough_fees,
+    ...results.application_fees,
+  ]);
+}
+
 // TODO: Implement this action
 //
 // This can be handled by doing a payouts list in the time period, and then
@@ -276,42 +412,37 @@ export default async function savePayoutReceipts(
 
   const payouts = await fetchPayouts(stripe, period);
 
-  const receipts = payouts.map(async (payout, index) => {
-    const payoutDate = Intl.DateTimeFormat("fr-CA", {
-      year: "numeric",
-      month: "2-digit",
-    }).format(payout.created * 1000);
+  const ledger = await Ledger.load(config.output.directory);
 
-    const payoutNumber = `${payoutDate}-${account.toUpperCase()}-${String(
-      index + 1
-    ).padStart(4, "0")}`;
+  // Payouts are sorted chronologically, so numbers are issued in order, payouts
+  // that already have a number keep it:
+  const payoutNumbers = payouts.map((payout) =>
+    assignPayoutNumber(ledger, account, payout)
+  );
+
+  await ledger.save();
+  ledger.reportGaps("payouts");
+
+  const receipts = payouts.map(async (payout, index) => {
+    const payoutNumber = payoutNumbers[index];
 
     const payoutTransactions = await fetchBalanceTransactions(stripe, {
       filterByPayout: payout.id,
     });
 
     if (payoutTransactions.totals.errors > 0) {
-      payoutTransactions.results.errors.forEach((err) => {
-        console.log({ payoutId: payout.id, error: err });
-      });
-      process.exit(1);
-      return;
+      throw new Error(
+        `Failed to process the transactions of payout ${
+          payout.id
+        }: ${payoutTransactions.results.errors.join(", ")}`
+      );
     }
 
     // console.log(JSON.stringify(payoutTransactions.results, null, 2));
 
-    const transactions = sortByCreated([
-      ...payoutTransactions.results.charges,
-      ...payoutTransactions.results.refunds,
-      ...payoutTransactions.results.taxes,
-      ...payoutTransactions.results.stripe_fees,
-      ...payoutTransactions.results.passthrough_fees,
-      ...payoutTransactions.results.application_fees,
-    ]);
-
     return await savePayoutReceipt(
       payout,
-      transactions,
+      getPayoutTransactions(payoutTransactions.results),
       {
         payoutsDir,
         payoutNumber,
@@ -321,4 +452,8 @@ export default async function savePayoutReceipts(
   });
 
   await Promise.all(receipts);
+
+  // The transactions of the payouts aren't those of the period, so there are
+  // no revenue totals to report:
+  return { documents: payouts.length, totals: null };
 }
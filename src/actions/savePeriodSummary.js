@@ -0,0 +1,367 @@
+import { join as joinPath } from "node:path";
+import { writeFile } from "node:fs/promises";
+import { mkdirp } from "fs-extra";
+
+import { fetchBalanceTransactions } from "../stripe.js";
+import { getGeneratedAt, getPeriodSlug } from "../date-fns.js";
+import { getBusinessAddress } from "../utils.js";
+import { getReceiptLocalization } from "../i18n.js";
+import Invoice from "../generators/invoice.js";
+import { getActionReport } from "../report.js";
+
+/**
+ * The payment methods that have a translated name, others are shown by their
+ * Stripe type
+ */
+const paymentMethodNames = ["card", "link", "paypal", "sepa_debit"];
+
+/**
+ * Groups charges by a key, counting them and summing their gross amounts
+ *
+ * @param {object[]} charges
+ * @param {(charge: any) => string} keyFor
+ * @returns {{ description: string, date: string, price: number }[]}
+ */
+function breakdown(charges, keyFor) {
+  const groups = new Map();
+
+  charges.forEach((charge) => {
+    const key = keyFor(charge);
+    const group = groups.get(key) ?? { count: 0, amount: 0 };
+
+    groups.set(key, {
+      count: group.count + 1,
+      amount: group.amount + charge.amount,
+    });
+  });
+
+  return Array.from(groups.entries())
+    .sort((a, b) => b[1].amount - a[1].amount)
+    .map(([key, { count, amount }]) => ({
+      description: key,
+      date: String(count),
+      price: amount,
+    }));
+}
+
+/**
+ * A line item for a group of transactions, with the number of transactions
+ *
+ * @param {string} description
+ * @param {number} count
+ * @param {number} amount
+ * @param {{ description: string, date?: string, price: number }[]} [subitems]
+ */
+function summaryLine(description, count, amount, subitems = []) {
+  return [
+    { value: description, subitems },
+    { value: String(count) },
+    { value: amount, price: true },
+  ];
+}
+
+function createSummary(account, period, currency, l10n, { fonts, branding }) {
+  const { t } = l10n;
+
+  // The end of a period is the start of the following day:
+  const lastDay = new Date(period.end.valueOf() - 1);
+
+  return new Invoice({
+    localization: l10n,
+    fonts,
+    branding,
+    data: {
+      invoice: {
+        name: t("summary.title"),
+        number: `${account.toUpperCase()}-${getPeriodSlug(period)}`,
+        header: [
+          {
+            label: t("summary.account"),
+            value: account.toUpperCase(),
+          },
+          {
+            label: t("summary.period"),
+            value: t("receipt.period", {
+              start: l10n.formatDate(period.start, true),
+              end: l10n.formatDate(lastDay, true),
+            }),
+          },
+          {
+            label: t("summary.generated"),
+            value: l10n.formatDate(getGeneratedAt(), true),
+          },
+        ],
+
+        currency: currency.toUpperCase(),
+
+        details: {
+          header: [
+            {
+              value: t("receipt.description"),
+            },
+            {
+              value: t("summary.count"),
+            },
+            {
+              value: t("receipt.amount"),
+            },
+          ],
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Creates a one page PDF summarising the totals for the period, to be used as
+ * the cover sheet for the period's bookkeeping
+ *
+ * @param {import("stripe").Stripe} stripe
+ * @param {string} account
+ * @param {import("../date-fns").Period} period
+ * @param {import("../configuration").configuration} config
+ * @returns {Promise<import("../report.js").ActionReport>}
+ */
+export default async function savePeriodSummary(
+  stripe,
+  account,
+  period,
+  config
+) {
+  const balanceTransactions = await fetchBalanceTransactions(stripe, {
+    period,
+  });
+  const { results, totals } = balanceTransactions;
+
+  results.warnings.forEach((warning) => console.warn(`Warning: ${warning}`));
+
+  const l10n = getReceiptLocalization(config);
+  const { t } = l10n;
+
+  const charges = [...results.charges, ...results.payments];
+  const currency =
+    charges[0]?.currency ?? results.payouts[0]?.currency ?? "eur";
+
+  const lineItems = [
+    summaryLine(
+      t("summary.charges"),
+      results.charges.length,
+      totals.charge_gross,
+      [
+        {
+          description: t("summary.stripeFees"),
+          price: totals.charge_stripe_fees * -1,
+        },
+        {
+          description: t("summary.applicationFees"),
+          price: totals.charge_application_fees * -1,
+        },
+        {
+          description: t("summary.passthroughFees"),
+          price: totals.charge_passthrough_fees * -1,
+        },
+        {
+          description: t("summary.taxOnFees"),
+          price: totals.charge_tax_fees * -1,
+        },
+        { description: t("summary.net"), price: totals.charge_net },
+      ].filter((item) => item.price !== 0)
+    ),
+  ];
+
+  if (results.payments.length > 0) {
+    lineItems.push(
+      summaryLine(
+        t("summary.payments"),
+        results.payments.length,
+        totals.payment_gross,
+        [
+          { description: t("summary.fees"), price: totals.payment_fees * -1 },
+          { description: t("summary.net"), price: totals.payment_net },
+        ]
+      )
+    );
+  }
+
+  const refundsTotal = results.refunds.reduce(
+    (total, refund) => total + refund.amount,
+    0
+  );
+  if (results.refunds.length > 0) {
+    lineItems.push(
+      summaryLine(t("summary.refunds"), results.refunds.length, refundsTotal)
+    );
+  }
+
+  if (results.disputes.length > 0) {
+    lineItems.push(
+      summaryLine(
+        t("summary.disputes"),
+        results.disputes.length,
+        totals.disputes,
+        [
+          {
+            description: t("summary.disputeFees"),
+            price: totals.dispute_fees * -1,
+          },
+        ]
+      )
+    );
+  }
+
+  // The fees of charges, payments and disputes are in the same results as
+  // standalone Stripe fees (e.g., billing fees), but are already shown above:
+  const feeTransactionIds = new Set(
+    [...charges, ...results.disputes].map((item) => item.transaction_id)
+  );
+  const stripeFees = results.stripe_fees.filter(
+    (fee) => !feeTransactionIds.has(fee.transaction_id)
+  );
+
+  [
+    [t("summary.stripeFees"), stripeFees.length, totals.stripe_fees * -1],
+    [
+      t("summary.currencyConversionFees"),
+      results.stripe_fx_fees.length,
+      totals.stripe_fx_fees * -1,
+    ],
+    [t("summary.adjustments"), results.adjustments.length, totals.adjustments],
+    [
+      t("summary.applicationFeeRefunds"),
+      results.application_fee_refunds.length,
+      totals.application_fee_refunds,
+    ],
+    [t("summary.transfers"), results.transfers.length, totals.transfers],
+    [
+      t("summary.payoutReversals"),
+      results.payout_reversals.length,
+      totals.payout_reversals,
+    ],
+    [
+      t("summary.reserves"),
+      results.reserve_transactions.length,
+      totals.reserve_transactions,
+    ],
+  ].forEach(([description, count, amount]) => {
+    if (count > 0) {
+      lineItems.push(summaryLine(description, count, amount));
+    }
+  });
+
+  lineItems.push(
+    summaryLine(
+      t("summary.payouts"),
+      results.payouts.length,
+      totals.payouts_gross,
+      totals.payouts_fees
+        ? [
+            {
+              description: t("summary.payoutFees"),
+              price: totals.payouts_fees * -1,
+            },
+          ]
+        : []
+    ),
+    summaryLine(
+      t("summary.byPaymentMethod"),
+      charges.length,
+      totals.charge_gross + totals.payment_gross,
+      breakdown(charges, (charge) =>
+        paymentMethodNames.includes(charge.payment_method?.type)
+          ? t(`summary.paymentMethod.${charge.payment_method.type}`)
+          : charge.payment_method?.type ?? t("summary.unknown")
+      )
+    ),
+    summaryLine(
+      t("summary.byCustomerCountry"),
+      charges.length,
+      totals.charge_gross + totals.payment_gross,
+      breakdown(
+        charges,
+        (charge) =>
+          charge.billing_details?.address?.country || t("summary.unknown")
+      )
+    )
+  );
+
+  const fees =
+    totals.charge_fees +
+    totals.payment_fees +
+    totals.stripe_fees +
+    totals.stripe_fx_fees +
+    totals.dispute_fees;
+
+  const legal = [];
+  if (totals.pending_transactions > 0 || totals.unavailable_transactions > 0) {
+    legal.push({
+      value: t("summary.notIncludedPending", {
+        pending: totals.pending_transactions,
+        unavailable: totals.unavailable_transactions,
+      }),
+      weight: "normal",
+      color: "secondary",
+    });
+  }
+
+  if (results.warnings.length > 0) {
+    legal.push({
+      value: t("summary.notIncludedUnknown", {
+        count: results.warnings.length,
+      }),
+      weight: "normal",
+      color: "secondary",
+    });
+  }
+
+  const pdf = await createSummary(account, period, currency, l10n, {
+    fonts: config.fonts,
+    branding: config.receipts,
+  })
+    .setBusiness([
+      {
+        label: config.business.name,
+        value: getBusinessAddress(config.business),
+      },
+    ])
+    .generate({
+      legal,
+      lineItems,
+      totals: [
+        {
+          label: t("summary.revenueAfterRefundsAndDisputes"),
+          // Refunds and chargebacks are negative, reinstated chargebacks
+          // positive:
+          value:
+            totals.charge_gross +
+            totals.payment_gross +
+            refundsTotal +
+            totals.disputes,
+          price: true,
+        },
+        {
+          label: t("summary.totalFees"),
+          value: fees * -1,
+          price: true,
+        },
+        {
+          label: t("summary.paidOut"),
+          value: totals.payouts_gross,
+          price: true,
+        },
+      ],
+    });
+
+  // Ensure the output directory exists:
+  const summaryDir = joinPath(config.output.directory, "summaries");
+  await mkdirp(summaryDir);
+
+  const file = joinPath(
+    summaryDir,
+    `${account.toUpperCase()}-${getPeriodSlug(period)}.pdf`
+  );
+  console.log(`Writing period summary to ${file}`);
+
+  await writeFile(file, pdf);
+
+  return getActionReport(1, balanceTransactions);
+}
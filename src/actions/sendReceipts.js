@@ -0,0 +1,154 @@
+import { join as joinPath } from "node:path";
+import { existsSync } from "node:fs";
+
+import { fetchBalanceTransactions } from "../stripe.js";
+import Ledger from "../ledger.js";
+import { getActionReport } from "../report.js";
+import { sortByCreated } from "../date-fns.js";
+import { getReceiptLocalization } from "../i18n.js";
+import {
+  createTransport,
+  getReceiptEmail,
+  getRecipient,
+  getSender,
+} from "../email.js";
+
+/**
+ * The receipt files to attach, the PDF and the XRechnung if there is one
+ *
+ * @param {string} receiptDir
+ * @param {string} receiptNumber
+ * @returns {{ filename: string, path: string }[]}
+ */
+function getAttachments(receiptDir, receiptNumber) {
+  return [`${receiptNumber}.pdf`, `${receiptNumber}.xml`]
+    .map((filename) => ({ filename, path: joinPath(receiptDir, filename) }))
+    .filter((attachment) => existsSync(attachment.path));
+}
+
+export default async function sendReceipts(stripe, account, period, config) {
+  const balanceTransactions = await fetchBalanceTransactions(stripe, {
+    period,
+  });
+
+  if (balanceTransactions.totals.errors > 0) {
+    throw new Error(
+      `Failed to process balance transactions: ${balanceTransactions.results.errors.join(
+        ", "
+      )}`
+    );
+  }
+
+  const receiptDir = joinPath(config.output.directory, "receipts");
+  const ledger = await Ledger.load(config.output.directory);
+
+  const { dryRun } = config.email;
+  const from = getSender(config);
+  const transport = dryRun ? null : createTransport(config.email);
+
+  const charges = sortByCreated([
+    ...balanceTransactions.results.charges,
+    ...balanceTransactions.results.payments,
+  ]);
+
+  const sent = [];
+  const alreadySent = [];
+  const withoutEmail = [];
+  const failed = [];
+
+  for (const charge of charges) {
+    const receiptNumber = ledger.getNumber("receipts", charge.id);
+    const attachments = receiptNumber
+      ? getAttachments(receiptDir, receiptNumber)
+      : [];
+
+    if (
+      !receiptNumber ||
+      !attachments.some(({ filename }) => filename.endsWith(".pdf"))
+    ) {
+      console.warn(
+        `Warning: skipping charge ${charge.id}, its receipt hasn't been created, please create receipts for the period first`
+      );
+      continue;
+    }
+
+    if (ledger.getSent(receiptNumber)) {
+      alreadySent.push(receiptNumber);
+      continue;
+    }
+
+    const to = getRecipient(charge);
+    if (!to) {
+      withoutEmail.push(receiptNumber);
+      continue;
+    }
+
+    const l10n = getReceiptLocalization(
+      config,
+      charge.billing_details.address?.country
+    );
+    const email = getReceiptEmail(charge, {
+      receiptNumber,
+      to,
+      config,
+      l10n,
+    });
+
+    if (dryRun) {
+      console.log(
+        [
+          `From: ${from}`,
+          `To: ${email.to}`,
+          `Subject: ${email.subject}`,
+          `Attachments: ${attachments
+            .map(({ filename }) => filename)
+            .join(", ")}`,
+          "",
+          email.text,
+          "",
+          "-".repeat(72),
+        ].join("\n")
+      );
+      sent.push(receiptNumber);
+      continue;
+    }
+
+    try {
+      const info = await transport.sendMail({ from, ...email, attachments });
+
+      // Record each send straight away, so a failure later in the run can't
+      // lead to the same receipt being sent again:
+      ledger.markSent(receiptNumber, to, info.messageId ?? null);
+      await ledger.save();
+
+      sent.push(receiptNumber);
+    } catch (err) {
+      console.error(`Failed to send ${receiptNumber} to ${to}: ${err.message}`);
+      failed.push(receiptNumber);
+    }
+  }
+
+  transport?.close();
+
+  console.log(
+    `\n${dryRun ? "Would send" : "Sent"} ${sent.length} receipts, ${
+      alreadySent.length
+    } were already sent`
+  );
+
+  if (withoutEmail.length > 0) {
+    console.log(
+      `Not sent, as the customer has no email address: ${withoutEmail.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (failed.length > 0) {
+    throw new Error(
+      `Failed to send ${failed.length} receipts: ${failed.join(", ")}`
+    );
+  }
+
+  return getActionReport(sent.length, balanceTransactions);
+}
@@ -0,0 +1,427 @@
+import { createServer } from "node:http";
+import { join as joinPath } from "node:path";
+import { existsSync } from "node:fs";
+import { mkdirp } from "fs-extra";
+
+import {
+  fetchBalanceTransactions,
+  fetchCharge,
+  fetchRefunds,
+} from "../stripe.js";
+import { getTaxLaw } from "../taxation.js";
+import { sortByCreated } from "../date-fns.js";
+import Ledger from "../ledger.js";
+import { getConnectedAccountId } from "../platform.js";
+import { resolveSecret } from "../secrets.js";
+import {
+  assignCreditNoteNumber,
+  assignReceiptNumber,
+  createAndSaveCreditNote,
+  createAndSaveReceipt,
+} from "./createAndSaveReceipts.js";
+import {
+  assignPayoutNumber,
+  getPayoutTransactions,
+  savePayoutReceipt,
+} from "./savePayoutReceipts.js";
+
+/**
+ * Stripe events are a few kilobytes, anything much larger isn't from Stripe
+ */
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * When the balance becomes available, receipts and credit notes are created
+ * for the transactions of this many seconds before that are still missing
+ * them, e.g., for charges that had no balance transaction when they succeeded
+ */
+const CATCH_UP_PERIOD = 31 * 24 * 60 * 60;
+
+/**
+ * @typedef WebhookContext
+ * @property {import("stripe").Stripe} stripe
+ * @property {string} account
+ * @property {import("../configuration.js").configuration} config
+ * @property {any} taxLaw
+ * @property {Ledger} ledger
+ */
+
+/**
+ * The signing secret of the webhook endpoint of an account, or a reference to
+ * it, see resolveSecret
+ *
+ * @param {string} account
+ * @param {import("../configuration.js").configuration} config
+ * @returns {string}
+ */
+export function getWebhookSecret(account, config) {
+  return (
+    process.env[`STRIPE_WEBHOOK_SECRET_${account.toUpperCase()}`] ||
+    config.webhooks.secret
+  );
+}
+
+/**
+ * Whether a document has already been saved, as a PDF or an XRechnung
+ *
+ * @param {string} directory
+ * @param {string} number
+ * @returns {boolean}
+ */
+function isSaved(directory, number) {
+  return (
+    existsSync(joinPath(directory, `${number}.pdf`)) ||
+    existsSync(joinPath(directory, `${number}.xml`))
+  );
+}
+
+/**
+ * Saves the receipt of a charge, unless it has already been saved
+ *
+ * @param {import("../stripe.js").Charge | import("../stripe.js").Payment} charge
+ * @param {WebhookContext} context
+ * @returns {Promise<string>} the receipt number
+ */
+async function saveReceipt(charge, { account, config, taxLaw, ledger }) {
+  const receiptDir = joinPath(config.output.directory, "receipts");
+
+  const existing = ledger.getNumber("receipts", charge.id);
+  if (existing && isSaved(receiptDir, existing)) {
+    return existing;
+  }
+
+  const receiptNumber = assignReceiptNumber(ledger, account, charge);
+  await ledger.save();
+
+  await mkdirp(receiptDir);
+  await createAndSaveReceipt(
+    charge,
+    { receiptDir, receiptNumber, taxLaw },
+    config
+  );
+
+  console.log(`Saved receipt ${receiptNumber} for charge ${charge.id}`);
+  return receiptNumber;
+}
+
+/**
+ * Saves the credit note of a refund, and the receipt of the charge it
+ * references if that hasn't been saved yet
+ *
+ * @param {import("../stripe.js").Refund} refund
+ * @param {import("../stripe.js").Charge | import("../stripe.js").Payment} charge
+ * @param {WebhookContext} context
+ * @returns {Promise<void>}
+ */
+async function saveCreditNote(refund, charge, context) {
+  const { account, config, taxLaw, ledger } = context;
+  const creditNoteDir = joinPath(config.output.directory, "credit-notes");
+
+  const existing = ledger.getNumber("credit_notes", refund.id);
+  if (existing && isSaved(creditNoteDir, existing)) {
+    return;
+  }
+
+  const receiptNumber = await saveReceipt(charge, context);
+  const creditNoteNumber = assignCreditNoteNumber(ledger, account, refund);
+  await ledger.save();
+
+  await mkdirp(creditNoteDir);
+  await createAndSaveCreditNote(
+    refund,
+    charge,
+    { creditNoteNumber, receiptNumber, creditNoteDir, taxLaw },
+    config
+  );
+
+  console.log(`Saved credit note ${creditNoteNumber} for refund ${refund.id}`);
+}
+
+/**
+ * Creates the receipts and credit notes that are missing for the recent
+ * transactions that are available
+ *
+ * @param {WebhookContext} context
+ * @returns {Promise<void>}
+ */
+async function catchUp(context) {
+  const { stripe } = context;
+
+  const end = new Date();
+  const balanceTransactions = await fetchBalanceTransactions(stripe, {
+    period: {
+      start: new Date(end.valueOf() - CATCH_UP_PERIOD * 1000),
+      end,
+    },
+  });
+
+  if (balanceTransactions.totals.errors > 0) {
+    throw new Error(
+      `Failed to process balance transactions: ${balanceTransactions.results.errors.join(
+        ", "
+      )}`
+    );
+  }
+
+  const charges = sortByCreated([
+    ...balanceTransactions.results.charges,
+    ...balanceTransactions.results.payments,
+  ]);
+
+  for (const charge of charges) {
+    await saveReceipt(charge, context);
+  }
+
+  for (const refund of sortByCreated(balanceTransactions.results.refunds)) {
+    if (!refund.charge_id) {
+      continue;
+    }
+
+    const charge =
+      charges.find((charge) => charge.id === refund.charge_id) ??
+      (await fetchCharge(stripe, refund.charge_id));
+
+    await saveCreditNote(refund, charge, context);
+  }
+}
+
+/**
+ * Handlers for the events the endpoint reacts to, by event type
+ * @type {Record<string, (object: any, context: WebhookContext) => Promise<void>>}
+ */
+const eventHandlers = {
+  "charge.succeeded": async (object, context) => {
+    // Some payment methods only get a balance transaction later, their
+    // receipts are created once the balance becomes available:
+    if (!object.balance_transaction) {
+      console.log(
+        `Charge ${object.id} has no balance transaction yet, its receipt will be created when the balance becomes available`
+      );
+      return;
+    }
+
+    const charge = await fetchCharge(context.stripe, object.id);
+    await saveReceipt(charge, context);
+  },
+  "charge.refunded": async (object, context) => {
+    if (!object.balance_transaction) {
+      return;
+    }
+
+    const charge = await fetchCharge(context.stripe, object.id);
+    for (const refund of await fetchRefunds(context.stripe, object.id)) {
+      await saveCreditNote(refund, charge, context);
+    }
+  },
+  "balance.available": async (object, context) => {
+    await catchUp(context);
+  },
+  "payout.paid": async (payout, { stripe, account, config, ledger }) => {
+    const payoutsDir = joinPath(config.output.directory, "payouts");
+
+    const existing = ledger.getNumber("payouts", payout.id);
+    if (existing && isSaved(payoutsDir, existing)) {
+      return;
+    }
+
+    const payoutTransactions = await fetchBalanceTransactions(stripe, {
+      filterByPayout: payout.id,
+    });
+
+    if (payoutTransactions.totals.errors > 0) {
+      throw new Error(
+        `Failed to process the transactions of payout ${
+          payout.id
+        }: ${payoutTransactions.results.errors.join(", ")}`
+      );
+    }
+
+    const payoutNumber = assignPayoutNumber(ledger, account, payout);
+    await ledger.save();
+
+    await mkdirp(payoutsDir);
+    await savePayoutReceipt(
+      payout,
+      getPayoutTransactions(payoutTransactions.results),
+      { payoutsDir, payoutNumber },
+      config
+    );
+
+    console.log(`Saved payout statement ${payoutNumber} for ${payout.id}`);
+  },
+};
+
+/**
+ * Reads the body of a request, as it was sent, the signature is of the exact
+ * bytes. Reading stops as soon as the body is too large, rather than
+ * buffering the rest of it.
+ *
+ * @param {import("node:http").IncomingMessage} req
+ * @returns {Promise<Buffer | null>} null if the body is too large
+ */
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      return null;
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * @param {import("node:http").ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ * @param {() => void} [callback] called once the response has been sent
+ */
+function respond(res, status, body, callback) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body), callback);
+}
+
+export default async function serveWebhooks(stripe, account, period, config) {
+  const { host, port, path } = config.webhooks;
+
+  const reference = getWebhookSecret(account, config);
+  if (!reference) {
+    throw new Error(
+      `No webhook signing secret for ${account}, please set STRIPE_WEBHOOK_SECRET_${account.toUpperCase()} in .env or webhooks.secret in the config`
+    );
+  }
+
+  const secret = await resolveSecret(reference, config);
+  const taxLaw = await getTaxLaw(config);
+  const accountId = getConnectedAccountId(stripe);
+
+  // Events are handled one at a time, so that retried events and events for
+  // the same charge can't issue numbers or write documents concurrently:
+  let queue = Promise.resolve();
+
+  const handleEvent = async (event) => {
+    const handler = eventHandlers[event.type];
+    if (!handler) {
+      return;
+    }
+
+    // A Connect endpoint receives the events of the platform and all of its
+    // connected accounts, only those of this account are handled:
+    if ((event.account ?? null) !== accountId) {
+      return;
+    }
+
+    // Load the ledger for each event, as other commands may have issued
+    // numbers since the last one:
+    const ledger = await Ledger.load(config.output.directory);
+
+    console.log(`Handling ${event.type} ${event.id}`);
+    await handler(event.data.object, {
+      stripe,
+      account,
+      config,
+      taxLaw,
+      ledger,
+    });
+  };
+
+  /**
+   * @param {import("node:http").IncomingMessage} req
+   * @param {import("node:http").ServerResponse} res
+   */
+  const handleRequest = async (req, res) => {
+    // Only the path is used, the Host header is whatever the client sent:
+    const url = new URL(req.url ?? "/", "http://localhost");
+    if (url.pathname !== path) {
+      return respond(res, 404, { error: "Not found" });
+    }
+
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return respond(res, 405, { error: "Method not allowed" });
+    }
+
+    const body = await readBody(req);
+    if (!body) {
+      // The rest of the body isn't read, so the connection can't be reused:
+      res.setHeader("Connection", "close");
+      return respond(res, 413, { error: "Payload too large" }, () =>
+        req.destroy()
+      );
+    }
+
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(
+        body,
+        req.headers["stripe-signature"] ?? "",
+        secret
+      );
+    } catch (err) {
+      console.warn(`Warning: rejected webhook request: ${err.message}`);
+      return respond(res, 400, { error: err.message });
+    }
+
+    const result = queue.then(() => handleEvent(event));
+    queue = result.catch(() => {});
+
+    try {
+      await result;
+      respond(res, 200, { received: true });
+    } catch (err) {
+      // Stripe retries the event when the response isn't successful:
+      console.error(`Failed to handle ${event.type} ${event.id}:`);
+      console.error(err);
+      respond(res, 500, { error: err.message });
+    }
+  };
+
+  const server = createServer(async (req, res) => {
+    // This runs for any request, before its signature is checked, so nothing
+    // a client sends may stop the server, e.g., aborting in the middle of the
+    // body:
+    try {
+      await handleRequest(req, res);
+    } catch (err) {
+      console.warn(`Warning: failed to handle webhook request: ${err.message}`);
+
+      if (!res.headersSent && !res.destroyed) {
+        respond(res, err instanceof TypeError ? 400 : 500, {
+          error: err.message,
+        });
+      } else {
+        res.destroy();
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      console.log(
+        `Listening for Stripe webhooks on http://${host}:${port}${path}, press Ctrl+C to stop`
+      );
+      resolve(undefined);
+    });
+  });
+
+  // Serve until interrupted, finishing the event being handled:
+  await new Promise((resolve) => {
+    const stop = () => {
+      console.log("\nStopping…");
+      server.close(() => queue.then(resolve));
+
+      // Keep-alive connections would keep the server open, idle ones are
+      // closed straight away, the others once the event being handled is done:
+      server.closeIdleConnections();
+      queue.then(() => server.closeAllConnections());
+    };
+
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+  });
+}
@@ -0,0 +1,361 @@
+import { join as joinPath } from "node:path";
+import { readFile, rename, writeFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { mkdirp } from "fs-extra";
+
+import { BALANCE_TRANSACTION_EXPAND } from "./stripe.js";
+
+const CACHE_VERSION = 1;
+
+/**
+ * Payouts can arrive in a period after being created before it, so payouts
+ * are synced from this many seconds before the start of the period
+ */
+const PAYOUT_MARGIN = 31 * 24 * 60 * 60;
+
+/**
+ * Statuses of a dispute that don't change anymore, until then the balance
+ * transactions of the dispute are fetched again, as their expanded dispute
+ * changes with its status
+ */
+const FINAL_DISPUTE_STATUSES = ["won", "lost", "warning_closed"];
+
+/**
+ * @typedef CachedResource
+ * @property {number | null} from the earliest creation time synced
+ * @property {number | null} cursor the creation time to sync from next time
+ * @property {Record<string, any>} objects the raw Stripe objects by ID
+ */
+
+/**
+ * @typedef SyncedResource
+ * @property {(stripe: import("stripe").Stripe, params: object) => AsyncIterable<any>} list
+ * @property {(object: any) => boolean} isSettled whether the object won't
+ *   change anymore, otherwise it's fetched again on the next sync
+ * @property {number} [margin] seconds before the period to sync from
+ */
+
+/**
+ * The Stripe objects that are synced, by name
+ * @type {Record<string, SyncedResource>}
+ */
+const resources = {
+  balance_transactions: {
+    list: (stripe, params) =>
+      stripe.balanceTransactions.list({
+        ...params,
+        expand: BALANCE_TRANSACTION_EXPAND,
+      }),
+    isSettled: (transaction) =>
+      transaction.status !== "pending" &&
+      (transaction.source?.object !== "dispute" ||
+        FINAL_DISPUTE_STATUSES.includes(transaction.source.status)),
+  },
+  payouts: {
+    list: (stripe, params) => stripe.payouts.list(params),
+    isSettled: (payout) =>
+      ["paid", "failed", "canceled"].includes(payout.status),
+    margin: PAYOUT_MARGIN,
+  },
+  invoices: {
+    list: (stripe, params) =>
+      stripe.invoices.list({
+        ...params,
+        expand: ["data.customer", "data.charge"],
+      }),
+    isSettled: (invoice) =>
+      ["paid", "void", "uncollectible"].includes(invoice.status),
+  },
+};
+
+/**
+ * The Stripe resources the cache syncs, which a restricted key needs access to
+ */
+export const SYNCED_RESOURCES = Object.keys(resources);
+
+/**
+ * Whether a value is within the range of a Stripe list filter, e.g.,
+ * { gte: 1700000000, lt: 1710000000 }
+ *
+ * @param {number} value
+ * @param {{ gt?: number, gte?: number, lt?: number, lte?: number } | undefined} range
+ * @returns {boolean}
+ */
+function isInRange(value, range) {
+  if (!range) {
+    return true;
+  }
+
+  return (
+    (range.gt === undefined || value > range.gt) &&
+    (range.gte === undefined || value >= range.gte) &&
+    (range.lt === undefined || value < range.lt) &&
+    (range.lte === undefined || value <= range.lte)
+  );
+}
+
+/**
+ * Objects as a Stripe list returns them, newest first, copied so that
+ * processing them can't change the cache
+ *
+ * @param {any[]} objects
+ * @returns {AsyncIterable<any>}
+ */
+function toList(objects) {
+  const sorted = [...objects].sort((a, b) => b.created - a.created);
+
+  return {
+    async *[Symbol.asyncIterator]() {
+      for (const object of sorted) {
+        yield structuredClone(object);
+      }
+    },
+  };
+}
+
+/**
+ * A local copy of the balance transactions, payouts and invoices of an
+ * account, so that each run only fetches what changed since the last one.
+ *
+ * Each sync fetches the objects created since the cursor, which is kept at the
+ * oldest object that may still change (e.g., a pending transaction), so those
+ * are fetched again until they're settled.
+ */
+export default class TransactionCache {
+  /**
+   * @param {string} file
+   * @param {Record<string, CachedResource>} resources
+   * @param {Record<string, string[]>} payoutTransactions the IDs of the
+   *   balance transactions of each payout
+   */
+  constructor(file, resources, payoutTransactions) {
+    this.file = file;
+    this.resources = resources;
+    this.payoutTransactions = payoutTransactions;
+    this.changed = false;
+  }
+
+  /**
+   * Loads the cache of an account from the output directory
+   *
+   * @param {string} directory
+   * @param {string} account
+   * @returns {Promise<TransactionCache>}
+   */
+  static async load(directory, account) {
+    const cacheDir = joinPath(directory, "cache");
+    await mkdirp(cacheDir);
+
+    const file = joinPath(cacheDir, `${account}.json`);
+    if (!existsSync(file)) {
+      return new TransactionCache(file, {}, {});
+    }
+
+    const data = JSON.parse(await readFile(file, "utf8"));
+    if (data.version !== CACHE_VERSION) {
+      throw new Error(
+        `Unsupported cache version ${data.version} in ${file}, expected ${CACHE_VERSION}, delete it to sync again`
+      );
+    }
+
+    return new TransactionCache(
+      file,
+      data.resources ?? {},
+      data.payoutTransactions ?? {}
+    );
+  }
+
+  /**
+   * Fetches the objects that are new or may have changed since the last sync,
+   * and those from before the period if it starts before anything synced so
+   * far
+   *
+   * @param {import("stripe").Stripe} stripe
+   * @param {import("./date-fns.js").Period} period
+   * @returns {Promise<void>}
+   */
+  async sync(stripe, period) {
+    for (const [name, resource] of Object.entries(resources)) {
+      const cached = (this.resources[name] ??= {
+        from: null,
+        cursor: null,
+        objects: {},
+      });
+
+      const start = period.start.valueOf() / 1000 - (resource.margin ?? 0);
+      let gte = cached.cursor;
+      if (cached.from === null || start < cached.from) {
+        gte = start;
+        cached.from = start;
+      }
+
+      // Objects synced before the cursor that aren't settled (e.g., with a
+      // cache written by an earlier version) are fetched again as well:
+      const cachedUnsettled = Object.values(cached.objects).filter(
+        (object) => !resource.isSettled(object)
+      );
+      if (cachedUnsettled.length > 0) {
+        gte = Math.max(
+          cached.from,
+          Math.min(gte, ...cachedUnsettled.map((object) => object.created))
+        );
+      }
+
+      let count = 0;
+      for await (const object of resource.list(stripe, { created: { gte } })) {
+        cached.objects[object.id] = object;
+        count++;
+      }
+
+      const objects = Object.values(cached.objects);
+      const unsettled = objects.filter((object) => !resource.isSettled(object));
+      cached.cursor = Math.max(
+        cached.from,
+        unsettled.length > 0
+          ? Math.min(...unsettled.map((object) => object.created))
+          : Math.max(...objects.map((object) => object.created), cached.from)
+      );
+
+      console.log(`Synced ${count} ${name.replaceAll("_", " ")}`);
+      this.changed = true;
+    }
+
+    await this.syncPayoutTransactions(stripe, period);
+    await this.save();
+  }
+
+  /**
+   * Fetches the balance transactions of the payouts arriving in the period,
+   * once they're paid, as these no longer change
+   *
+   * @param {import("stripe").Stripe} stripe
+   * @param {import("./date-fns.js").Period} period
+   * @returns {Promise<void>}
+   */
+  async syncPayoutTransactions(stripe, period) {
+    const payouts = Object.values(this.resources.payouts.objects).filter(
+      (payout) =>
+        payout.status === "paid" &&
+        !this.payoutTransactions[payout.id] &&
+        isInRange(payout.arrival_date, {
+          gte: period.start.valueOf() / 1000,
+          lte: period.end.valueOf() / 1000,
+        })
+    );
+
+    for (const payout of payouts) {
+      const ids = [];
+      for await (const transaction of resources.balance_transactions.list(
+        stripe,
+        { payout: payout.id }
+      )) {
+        this.resources.balance_transactions.objects[transaction.id] =
+          transaction;
+        ids.push(transaction.id);
+      }
+
+      this.payoutTransactions[payout.id] = ids;
+      this.changed = true;
+    }
+  }
+
+  /**
+   * A client with the parts of the Stripe client the actions use, reading
+   * from the cache, and from Stripe for anything it doesn't have
+   *
+   * @param {import("stripe").Stripe} stripe
+   * @returns {import("stripe").Stripe}
+   */
+  getClient(stripe) {
+    const objects = (name) => Object.values(this.resources[name].objects);
+
+    const client = {
+      balanceTransactions: {
+        list: (params) => {
+          if (params.payout) {
+            const ids = this.payoutTransactions[params.payout];
+            if (!ids) {
+              return stripe.balanceTransactions.list(params);
+            }
+
+            return toList(
+              ids.map((id) => this.resources.balance_transactions.objects[id])
+            );
+          }
+
+          return toList(
+            objects("balance_transactions").filter(
+              (transaction) =>
+                (!params.type || transaction.type === params.type) &&
+                isInRange(transaction.created, params.created)
+            )
+          );
+        },
+      },
+      payouts: {
+        list: (params) =>
+          toList(
+            objects("payouts").filter(
+              (payout) =>
+                isInRange(payout.created, params.created) &&
+                isInRange(payout.arrival_date, params.arrival_date)
+            )
+          ),
+      },
+      invoices: {
+        list: (params) =>
+          toList(
+            objects("invoices").filter((invoice) =>
+              isInRange(invoice.created, params.created)
+            )
+          ),
+      },
+      charges: {
+        retrieve: async (id, params) => {
+          const transaction = objects("balance_transactions").find(
+            (transaction) => transaction.source?.id === id
+          );
+          if (!transaction) {
+            return stripe.charges.retrieve(id, params);
+          }
+
+          const { source, ...balanceTransaction } =
+            structuredClone(transaction);
+          return {
+            ...source,
+            balance_transaction: { ...balanceTransaction, source: id },
+          };
+        },
+      },
+    };
+
+    // @ts-ignore only the parts used by the actions are implemented
+    return client;
+  }
+
+  /**
+   * Writes the cache back to disk if anything was synced
+   *
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.changed) {
+      return;
+    }
+
+    // Write to a temporary file first, so that the cache is never left
+    // partially written:
+    const tmpFile = `${this.file}.tmp`;
+    await writeFile(
+      tmpFile,
+      JSON.stringify({
+        version: CACHE_VERSION,
+        resources: this.resources,
+        payoutTransactions: this.payoutTransactions,
+      })
+    );
+    await rename(tmpFile, this.file);
+
+    this.changed = false;
+  }
+}
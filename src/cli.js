@@ -0,0 +1,417 @@
+import { parseArgs } from "node:util";
+import {
+  getLastMonthsPeriod,
+  getMonthChoices,
+  getQuarterChoices,
+  getYearChoices,
+  parsePeriod,
+} from "./date-fns.js";
+
+/**
+ * Exit codes used by the CLI, so that scripts can tell whether a run succeeded
+ */
+export const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+  interrupted: 130,
+};
+
+/**
+ * Thrown when the command line arguments are invalid
+ */
+export class UsageError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [command]
+   */
+  constructor(message, command) {
+    super(message);
+    this.name = "UsageError";
+    this.command = command;
+  }
+}
+
+/**
+ * The value of the "All accounts" choice, a symbol so it can't clash with the
+ * name of an account
+ */
+export const ALL_ACCOUNTS = Symbol("all accounts");
+
+/**
+ * @typedef Command
+ * @property {string} action the name of the action to run
+ * @property {string} title title shown in the interactive prompt
+ * @property {string} description
+ * @property {string[]} resources the Stripe resources the command reads, which
+ *   a restricted key needs access to
+ * @property {boolean} [withoutPeriod] whether the command runs without a
+ *   period, it then also only runs for a single account
+ */
+
+/**
+ * The commands available on the CLI, keyed by their command line name
+ * @type {Record<string, Command>}
+ */
+export const commands = {
+  receipts: {
+    action: "createAndSaveReceipts",
+    title: "Create & Save Receipts",
+    description: "Creates a PDF receipt for each charge on the Stripe account",
+    resources: ["balance_transactions", "charges", "customers", "invoices"],
+  },
+  send: {
+    action: "sendReceipts",
+    title: "Send Receipts",
+    description:
+      "Emails each customer their receipt through the configured SMTP server, receipts must be created first",
+    resources: ["balance_transactions", "charges", "customers", "invoices"],
+  },
+  invoices: {
+    action: "downloadInvoices",
+    title: "Download Invoices",
+    description: "Downloads invoices generated by Stripe",
+    resources: ["invoices", "customers", "charges"],
+  },
+  payouts: {
+    action: "savePayoutReceipts",
+    title: "Save Payout Receipts",
+    description:
+      "Retrieves each payout for the given period and generates a PDF receipt for the payout and the transactions involved",
+    resources: [
+      "payouts",
+      "balance_transactions",
+      "charges",
+      "customers",
+      "invoices",
+    ],
+  },
+  export: {
+    action: "exportCsv",
+    title: "Export CSV",
+    description:
+      "Exports the charges, refunds, fees, payouts and totals for the period as CSV files",
+    resources: ["balance_transactions", "charges", "customers", "invoices"],
+  },
+  datev: {
+    action: "exportDatev",
+    title: "Export DATEV",
+    description:
+      "Exports the bookings for the period as a DATEV Buchungsstapel for your tax accountant",
+    resources: ["balance_transactions", "charges", "customers", "invoices"],
+  },
+  summary: {
+    action: "savePeriodSummary",
+    title: "Save Period Summary",
+    description:
+      "Generates a one page PDF summarising the totals for the period",
+    resources: ["balance_transactions", "charges", "customers", "invoices"],
+  },
+  serve: {
+    action: "serveWebhooks",
+    title: "Serve Webhooks",
+    description:
+      "Listens for Stripe webhook events, creating receipts, credit notes and payout statements as charges settle",
+    resources: [
+      "balance_transactions",
+      "charges",
+      "customers",
+      "invoices",
+      "refunds",
+      "payouts",
+    ],
+    withoutPeriod: true,
+  },
+};
+
+const options = {
+  account: {
+    type: "string",
+    short: "a",
+    placeholder: "<name>",
+    description:
+      "Stripe account to use, as named by the STRIPE_TOKEN_<name> variable",
+  },
+  "all-accounts": {
+    type: "boolean",
+    short: "A",
+    description: "Run the command for each configured account in turn",
+  },
+  period: {
+    type: "string",
+    short: "p",
+    placeholder: "<period>",
+    description:
+      "Period to process: a month (2026-09), quarter (2026-Q3), year (2026), last-N-months or a date range (2026-01-15..2026-02-28)",
+  },
+  record: {
+    type: "string",
+    placeholder: "<dir>",
+    description:
+      "Save the responses of the Stripe API to fixture files in the directory",
+  },
+  replay: {
+    type: "string",
+    placeholder: "<dir>",
+    description:
+      "Use the responses saved with --record instead of the Stripe API",
+  },
+  "dry-run": {
+    type: "boolean",
+    short: "n",
+    description: "Preview the emails of the send command without sending them",
+  },
+  help: {
+    type: "boolean",
+    short: "h",
+    description: "Show this help",
+  },
+};
+
+/**
+ * @param {string} [command]
+ * @returns {string}
+ */
+export function getUsage(command) {
+  const optionLines = Object.entries(options).map(([name, option]) => {
+    const short = option.short ? `-${option.short}, ` : "    ";
+    const flags = `${short}--${name} ${option.placeholder ?? ""}`;
+    return `  ${flags.padEnd(26, " ")}${option.description}`;
+  });
+
+  if (command && commands[command]) {
+    return [
+      `Usage: stripe-connect-tools ${command} [options]`,
+      "",
+      commands[command].description,
+      "",
+      "Options:",
+      ...optionLines,
+      "",
+      "Any option not given will be prompted for.",
+    ].join("\n");
+  }
+
+  const commandLines = Object.entries(commands).map(
+    ([name, { description }]) => `  ${name.padEnd(12, " ")}${description}`
+  );
+
+  return [
+    "Usage: stripe-connect-tools [command] [options]",
+    "",
+    "Commands:",
+    ...commandLines,
+    "",
+    "Options:",
+    ...optionLines,
+    "",
+    "Any command or option not given will be prompted for.",
+    "Run `stripe-connect-tools <command> --help` for help on a command.",
+  ].join("\n");
+}
+
+/**
+ * @typedef CliArguments
+ * @property {boolean} help
+ * @property {string} [command]
+ * @property {string} [action]
+ * @property {string} [account]
+ * @property {boolean} allAccounts
+ * @property {import("./date-fns.js").Period} [period]
+ * @property {boolean} dryRun
+ * @property {import("./fixtures.js").FixtureOptions} [fixtures]
+ */
+
+/**
+ * Parses the command line arguments, throwing a UsageError if they're invalid
+ *
+ * @param {string[]} args
+ * @returns {CliArguments}
+ */
+export function parseCliArguments(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: Object.fromEntries(
+        Object.entries(options).map(([name, { type, short }]) => [
+          name,
+          short ? { type, short } : { type },
+        ])
+      ),
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const { values, positionals } = parsed;
+
+  let command = positionals.shift();
+  let help = !!values.help;
+
+  // Support `stripe-connect-tools help [command]` as well as `--help`:
+  if (command === "help") {
+    help = true;
+    command = positionals.shift();
+  }
+
+  if (command && !commands[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  if (positionals.length > 0) {
+    throw new UsageError(
+      `Unexpected argument: ${positionals.join(" ")}`,
+      command
+    );
+  }
+
+  if (values.account && values["all-accounts"]) {
+    throw new UsageError(
+      "--account and --all-accounts can't be used together",
+      command
+    );
+  }
+
+  if (values.record && values.replay) {
+    throw new UsageError(
+      "--record and --replay can't be used together",
+      command
+    );
+  }
+
+  if (command && commands[command].withoutPeriod && values["all-accounts"]) {
+    throw new UsageError(
+      `The ${command} command runs for a single account, use --account`,
+      command
+    );
+  }
+
+  let period;
+  if (values.period) {
+    period = parsePeriod(values.period);
+
+    if (!period) {
+      throw new UsageError(`Invalid period: ${values.period}`, command);
+    }
+  }
+
+  return {
+    help,
+    command,
+    action: command ? commands[command].action : undefined,
+    account: values.account?.toLowerCase(),
+    allAccounts: !!values["all-accounts"],
+    period,
+    dryRun: !!values["dry-run"],
+    fixtures: values.record
+      ? { mode: "record", directory: values.record }
+      : values.replay
+      ? { mode: "replay", directory: values.replay }
+      : undefined,
+  };
+}
+
+/**
+ * The Stripe resources an action reads
+ *
+ * @param {string} action
+ * @returns {string[]}
+ */
+export function getActionResources(action) {
+  return (
+    Object.values(commands).find((command) => command.action === action)
+      ?.resources ?? []
+  );
+}
+
+/**
+ * Whether an action runs without a period
+ *
+ * @param {string} [action]
+ * @returns {boolean}
+ */
+export function isWithoutPeriod(action) {
+  return Object.values(commands).some(
+    (command) => command.action === action && !!command.withoutPeriod
+  );
+}
+
+/**
+ * Questions for the interactive prompt to select a period, either one of the
+ * recent months or a quarter, year, last N months or custom range
+ *
+ * @param {(values: Record<string, any>) => boolean} skip whether the period
+ *   was already given or isn't needed, given the answers so far
+ * @returns {import("prompts").PromptObject[]}
+ */
+export function getPeriodQuestions(skip) {
+  return [
+    {
+      type: (prev, values) => (skip(values) ? null : "select"),
+      name: "period",
+      message: "Select the period to create query for?",
+      choices: [
+        ...getMonthChoices(),
+        { title: "Quarter…", value: "quarter" },
+        { title: "Year…", value: "year" },
+        { title: "Last N months…", value: "months" },
+        {
+          title: "Custom…",
+          description: "A date range, e.g., 2026-01-15..2026-02-28",
+          value: "custom",
+        },
+      ],
+    },
+    {
+      type: (prev, values) => (values.period === "quarter" ? "select" : null),
+      name: "quarter",
+      message: "Select the quarter:",
+      choices: getQuarterChoices(),
+    },
+    {
+      type: (prev, values) => (values.period === "year" ? "select" : null),
+      name: "year",
+      message: "Select the year:",
+      choices: getYearChoices(),
+    },
+    {
+      type: (prev, values) => (values.period === "months" ? "number" : null),
+      name: "months",
+      message: "How many complete months, not including the current month?",
+      initial: 3,
+      min: 1,
+    },
+    {
+      type: (prev, values) => (values.period === "custom" ? "text" : null),
+      name: "custom",
+      message: "Enter the period (e.g., 2026-01-15..2026-02-28):",
+      validate: (value) => !!parsePeriod(value) || "Invalid period",
+    },
+  ];
+}
+
+/**
+ * Resolves the answers to the period questions into a period
+ *
+ * @param {Record<string, any>} responses
+ * @returns {import("./date-fns.js").Period | undefined}
+ */
+export function resolvePeriod(responses) {
+  switch (responses.period) {
+    case "quarter":
+      return responses.quarter;
+    case "year":
+      return responses.year;
+    case "months":
+      return responses.months > 0
+        ? getLastMonthsPeriod(responses.months)
+        : undefined;
+    case "custom":
+      return responses.custom ? parsePeriod(responses.custom) : undefined;
+    default:
+      return responses.period;
+  }
+}
@@ -1,15 +1,25 @@
 import convict from "convict";
 import convictFormatValidators from "convict-format-with-validator";
 import { parse } from "@iarna/toml";
-import { join, dirname } from "node:path";
+import { join, dirname, resolve } from "node:path";
 import { existsSync } from "node:fs";
 import { fileURLToPath } from "url";
 
+import { LANGUAGES } from "./i18n.js";
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = join(dirname(__filename), "..");
 
 convict.addParser({ extension: "toml", parse });
 convict.addFormats(convictFormatValidators);
+convict.addFormat({
+  name: "color",
+  validate(value) {
+    if (!/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+      throw new TypeError("must be a hex colour, e.g., #1A2B3C");
+    }
+  },
+});
 
 const config = convict({
   output: {
@@ -42,6 +52,11 @@ const config = convict({
       },
       default: "",
     },
+    phone: {
+      doc: "Telephone number of the business, required for XRechnung",
+      format: String,
+      default: "",
+    },
     address_line_1: {
       doc: "Address line 1",
       format: String,
@@ -77,21 +92,303 @@ const config = convict({
       format: String,
       default: "",
     },
+    vat_identifier: {
+      doc: "VAT identification number (e.g., DE123456789), required when VAT registered",
+      format: String,
+      default: "",
+    },
+  },
+  taxation: {
+    law: {
+      doc: "Tax law to apply to receipts (e.g., germany, austria, united_kingdom or none), by default it's chosen by business.country",
+      format: String,
+      default: "",
+    },
+    modules: {
+      doc: "Paths to additional tax law modules, relative to the working directory",
+      format: Array,
+      default: [],
+    },
+    mode: {
+      doc: "Whether the business is a small business that doesn't charge VAT, or is VAT registered",
+      format: ["small_business", "vat_registered"],
+      default: "small_business",
+    },
+    vatRate: {
+      doc: "VAT rate in percent for charges without tax data from Stripe, when VAT registered, defaults to the standard rate of the tax law",
+      format: Number,
+      default: null,
+      nullable: true,
+    },
   },
   receipts: {
+    language: {
+      doc: "Language of receipts, credit notes and payout receipts",
+      format: Object.keys(LANGUAGES),
+      default: "en",
+    },
     dateFormat: {
-      doc: "Format for the dates on receipts, as a BCP 47 language tag",
+      doc: "Format for the dates and amounts on receipts, as a BCP 47 language tag, defaults to that of the language",
+      format: String,
+      default: "",
+    },
+    customerLanguage: {
+      doc: "Whether to use the language of the customer's country for their receipts and credit notes, when available",
+      format: Boolean,
+      default: false,
+    },
+    logo: {
+      doc: "Path to a PNG, JPEG or SVG logo for the header of receipts and other PDFs",
+      format: String,
+      default: "",
+    },
+    primaryColor: {
+      doc: "Colour of the text of PDFs",
+      format: "color",
+      default: "#000100",
+    },
+    secondaryColor: {
+      doc: "Colour of the labels and sub-items of PDFs",
+      format: "color",
+      default: "#8F8F8F",
+    },
+    headerColor: {
+      doc: "Background colour of the header of PDFs",
+      format: "color",
+      default: "#F8F8FA",
+    },
+  },
+  cache: {
+    enabled: {
+      doc: "Whether to keep a local copy of the Stripe data in the cache directory of the output directory, so each run only fetches what changed since the last one",
+      format: Boolean,
+      default: true,
+    },
+  },
+  einvoice: {
+    profile: {
+      doc: "Factur-X / ZUGFeRD profile of the XML embedded in receipts, which are then PDF/A-3 files, or none for plain PDFs",
+      format: ["none", "MINIMUM", "BASIC", "EN16931", "XRECHNUNG"],
+      default: "none",
+    },
+    output: {
+      doc: "Whether to save receipts as PDF files, XRechnung XML files, or both",
+      format: ["pdf", "xrechnung", "both"],
+      default: "pdf",
+    },
+    syntax: {
+      doc: "Syntax of XRechnung XML files, UBL 2.1 or UN/CEFACT Cross Industry Invoice",
+      format: ["UBL", "CII"],
+      default: "UBL",
+    },
+  },
+  email: {
+    host: {
+      doc: "Host name of the SMTP server to send receipts through",
+      format: String,
+      default: "localhost",
+    },
+    port: {
+      doc: "Port of the SMTP server, e.g., 587, 465 with secure, or 1025 for MailHog",
+      format: "port",
+      default: 587,
+    },
+    secure: {
+      doc: "Whether to connect to the SMTP server over TLS, otherwise STARTTLS is used when the server supports it",
+      format: Boolean,
+      default: false,
+    },
+    user: {
+      doc: "User name for the SMTP server, if it requires authentication",
       format: String,
-      default: "en-GB",
+      default: "",
+    },
+    password: {
+      doc: "Password for the SMTP server",
+      format: String,
+      default: "",
+      sensitive: true,
+      env: "SMTP_PASSWORD",
+    },
+    from: {
+      doc: "Sender of receipt emails, e.g., Jane Doe <jane@example.com>, defaults to the business name and email",
+      format: String,
+      default: "",
+    },
+    subject: {
+      doc: "Template for the subject of receipt emails, either the same for every language or per language, defaults to the translations in src/locales",
+      format: "*",
+      default: "",
+    },
+    body: {
+      doc: "Template for the body of receipt emails, either the same for every language or per language, defaults to the translations in src/locales",
+      format: "*",
+      default: "",
+    },
+    dryRun: {
+      doc: "Whether to only preview the emails that would be sent, without sending them",
+      format: Boolean,
+      default: false,
+    },
+  },
+  secrets: {
+    modules: {
+      doc: "Paths to additional secret provider modules, relative to the working directory",
+      format: Array,
+      default: [],
+    },
+    passphrase: {
+      doc: "Passphrase of the encrypted secrets file for file:// references, prompted for if not set",
+      format: String,
+      default: "",
+      sensitive: true,
+      env: "SECRETS_PASSPHRASE",
+    },
+  },
+  platform: {
+    accounts: {
+      doc: "Connected accounts to use with the platform key in STRIPE_PLATFORM_TOKEN, as name = account ID, by default every connected account is used, named by its ID",
+      format: Object,
+      default: {},
+    },
+    business: {
+      doc: "Business details of connected accounts, by account name, which take precedence over those in Stripe, e.g., the tax identifier, with the same fields as [business]",
+      format: Object,
+      default: {},
+    },
+  },
+  webhooks: {
+    host: {
+      doc: "Host name or address for the serve command to listen on, use 0.0.0.0 to accept connections from other machines",
+      format: String,
+      default: "127.0.0.1",
+    },
+    port: {
+      doc: "Port for the serve command to listen on",
+      format: "port",
+      default: 4242,
+    },
+    path: {
+      doc: "Path of the webhook endpoint, e.g., /webhooks for http://localhost:4242/webhooks",
+      format: String,
+      default: "/webhooks",
+    },
+    secret: {
+      doc: "Signing secret of the webhook endpoint (whsec_...), STRIPE_WEBHOOK_SECRET_<name> takes precedence for an account",
+      format: String,
+      default: "",
+      sensitive: true,
+      env: "STRIPE_WEBHOOK_SECRET",
+    },
+  },
+  fonts: {
+    normal: {
+      doc: "Path to a TTF or OTF font for the text of PDFs, defaults to the included DejaVu Sans",
+      format: String,
+      default: "",
+    },
+    bold: {
+      doc: "Path to a TTF or OTF font for the bold text of PDFs, defaults to the included DejaVu Sans Bold",
+      format: String,
+      default: "",
+    },
+    fallback: {
+      doc: "Path to a TTF or OTF font for text with characters the normal or bold font doesn't have, e.g., Noto Sans CJK for Chinese, Japanese or Korean names",
+      format: String,
+      default: "",
+    },
+  },
+  export: {
+    delimiter: {
+      doc: "Delimiter between the values in exported CSV files",
+      format: String,
+      default: ",",
+    },
+    decimalSeparator: {
+      doc: "Decimal separator for amounts in exported CSV files",
+      format: [".", ","],
+      default: ".",
+    },
+    dateFormat: {
+      doc: "Format for dates in exported CSV files, using the tokens YYYY, MM, DD, HH, mm and ss",
+      format: String,
+      default: "YYYY-MM-DD HH:mm:ss",
+    },
+    bom: {
+      doc: "Whether to start exported CSV files with a byte order mark, so that spreadsheets detect them as UTF-8",
+      format: Boolean,
+      default: true,
+    },
+  },
+  datev: {
+    consultantNumber: {
+      doc: "DATEV consultant number (Beraternummer) of your tax accountant",
+      format: "nat",
+      default: 1001,
+    },
+    clientNumber: {
+      doc: "DATEV client number (Mandantennummer) of your business",
+      format: "nat",
+      default: 1,
+    },
+    chartOfAccounts: {
+      doc: "DATEV chart of accounts (Kontenrahmen) used for the default account numbers",
+      format: ["SKR03", "SKR04"],
+      default: "SKR03",
+    },
+    accountLength: {
+      doc: "Length of the general ledger account numbers (Sachkontenlänge)",
+      format: "nat",
+      default: 4,
+    },
+    fiscalYearStart: {
+      doc: "Start of the fiscal year, as MM-DD",
+      format: function check(val) {
+        if (!/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(val)) {
+          throw new TypeError(
+            `datev.fiscalYearStart must be formatted as MM-DD`
+          );
+        }
+      },
+      default: "01-01",
+    },
+    accounts: {
+      stripe: {
+        doc: "Account for the Stripe balance, defaults to Geldtransit (SKR03: 1360, SKR04: 1460)",
+        format: "nat",
+        default: null,
+        nullable: true,
+      },
+      bank: {
+        doc: "Bank account that payouts are transferred to (SKR03: 1200, SKR04: 1800)",
+        format: "nat",
+        default: null,
+        nullable: true,
+      },
+      revenue: {
+        doc: "Revenue account for charges, defaults to revenue as a small business (SKR03: 8195, SKR04: 4185)",
+        format: "nat",
+        default: null,
+        nullable: true,
+      },
+      fees: {
+        doc: "Expense account for Stripe and platform fees (SKR03: 4970, SKR04: 6855)",
+        format: "nat",
+        default: null,
+        nullable: true,
+      },
     },
   },
 });
-const configFile = join(__dirname, "config.toml");
+// CONFIG_FILE picks another config file, e.g., the one of the fixtures:
+const configFile = process.env.CONFIG_FILE
+  ? resolve(process.env.CONFIG_FILE)
+  : join(__dirname, "config.toml");
 
 if (existsSync(configFile)) {
   config.loadFile(configFile);
 } else {
-  console.error(`Missing config.toml file in ${__dirname}`);
+  console.error(`Missing config file ${configFile}`);
   console.error(
     "Please create this file based on the example.config.toml file"
   );
@@ -0,0 +1,117 @@
+/**
+ * @typedef CsvOptions
+ * @property {string} delimiter
+ * @property {string} [lineSeparator]
+ */
+
+/**
+ * Quotes a value if it contains the delimiter, quotes or line breaks
+ *
+ * @param {unknown} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function escapeValue(value, delimiter) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  const str = String(value);
+  if (
+    str.includes(delimiter) ||
+    str.includes('"') ||
+    str.includes("\n") ||
+    str.includes("\r")
+  ) {
+    return `"${str.replaceAll('"', '""')}"`;
+  }
+
+  return str;
+}
+
+/**
+ * Converts rows of values into CSV
+ *
+ * @param {unknown[][]} rows
+ * @param {CsvOptions} options
+ * @returns {string}
+ */
+export function toCsv(rows, { delimiter, lineSeparator = "\r\n" }) {
+  return (
+    rows
+      .map((row) =>
+        row.map((value) => escapeValue(value, delimiter)).join(delimiter)
+      )
+      .join(lineSeparator) + lineSeparator
+  );
+}
+
+/**
+ * Formats an amount in cents as a decimal number, without a currency
+ *
+ * @param {number | null | undefined} amount
+ * @param {string} decimalSeparator
+ * @returns {string}
+ */
+export function formatAmount(amount, decimalSeparator) {
+  if (typeof amount !== "number") {
+    return "";
+  }
+
+  return (amount / 100).toFixed(2).replace(".", decimalSeparator);
+}
+
+// Characters that Windows-1252 maps to the bytes 0x80 to 0x9F, all other
+// characters it supports are the same as in Latin-1:
+const windows1252 = {
+  "€": 0x80,
+  "‚": 0x82,
+  ƒ: 0x83,
+  "„": 0x84,
+  "…": 0x85,
+  "†": 0x86,
+  "‡": 0x87,
+  ˆ: 0x88,
+  "‰": 0x89,
+  Š: 0x8a,
+  "‹": 0x8b,
+  Œ: 0x8c,
+  Ž: 0x8e,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "˜": 0x98,
+  "™": 0x99,
+  š: 0x9a,
+  "›": 0x9b,
+  œ: 0x9c,
+  ž: 0x9e,
+  Ÿ: 0x9f,
+};
+
+/**
+ * Encodes text as Windows-1252, replacing characters it can't represent with
+ * a question mark
+ *
+ * @param {string} text
+ * @returns {Buffer}
+ */
+export function encodeWindows1252(text) {
+  const bytes = Array.from(text, (char) => {
+    const code = char.codePointAt(0);
+
+    if (windows1252[char] !== undefined) {
+      return windows1252[char];
+    } else if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) {
+      return code;
+    }
+
+    return 0x3f;
+  });
+
+  return Buffer.from(bytes);
+}
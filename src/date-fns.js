@@ -22,6 +22,18 @@ function endDate(year, month) {
   return new Date(year, month, 0, 24);
 }
 
+/**
+ * @param {number} year
+ * @param {number} month
+ * @returns {Period}
+ */
+function monthPeriod(year, month) {
+  return {
+    start: startDate(year, month),
+    end: endDate(year, month + 1),
+  };
+}
+
 /**
  * @returns {Period[]}
  */
@@ -31,35 +43,147 @@ export function getMonthPeriods() {
 
   const periods = [];
 
-  // Handle EOY, getMonth is zero-indexed:
-  if (date.getMonth() == 0) {
-    // Add the previous month (December):
-    periods.push({
-      start: startDate(year, -1),
-      end: endDate(year, 0),
-    });
-  } else {
-    // Calculate & add the last 6 months
-    //
-    // Note: I'm not sure if this will work correctly at year
-    // boundaries, but it seems to:
-    for (let i = 6; i >= 0; i--) {
-      periods.push({
-        start: startDate(year, date.getMonth() - i - 1),
-        end: endDate(year, date.getMonth() - i),
-      });
-    }
+  // Calculate & add the previous 7 months, getMonth is zero-indexed, and Date
+  // handles negative months by rolling back into the previous year:
+  for (let i = 7; i >= 1; i--) {
+    periods.push(monthPeriod(year, date.getMonth() - i));
   }
 
   // Add the current month:
-  periods.push({
-    start: startDate(year, date.getMonth()),
-    end: endDate(year, date.getMonth() + 1),
-  });
+  periods.push(monthPeriod(year, date.getMonth()));
 
   return periods;
 }
 
+/**
+ * @param {number} year
+ * @param {number} quarter from 1 to 4
+ * @returns {Period}
+ */
+export function getQuarterPeriod(year, quarter) {
+  return {
+    start: startDate(year, (quarter - 1) * 3),
+    end: endDate(year, quarter * 3),
+  };
+}
+
+/**
+ * @param {number} year
+ * @returns {Period}
+ */
+export function getYearPeriod(year) {
+  return {
+    start: startDate(year, 0),
+    end: endDate(year, 12),
+  };
+}
+
+/**
+ * The last N complete months, not including the current month
+ *
+ * @param {number} months
+ * @returns {Period}
+ */
+export function getLastMonthsPeriod(months) {
+  const date = new Date();
+
+  return {
+    start: startDate(date.getFullYear(), date.getMonth() - months),
+    end: startDate(date.getFullYear(), date.getMonth()),
+  };
+}
+
+/**
+ * @param {string} value a date as YYYY-MM-DD
+ * @returns {Date | null}
+ */
+function parseIsoDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day] = match.slice(1).map((v) => parseInt(v, 10));
+  const date = new Date(year, month - 1, day);
+
+  // Reject dates that Date rolls over, e.g., 2026-02-31:
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+
+  return date;
+}
+
+/**
+ * A custom period, where both the start and end dates are included
+ *
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Period | null}
+ */
+export function getCustomPeriod(start, end) {
+  if (end < start) {
+    return null;
+  }
+
+  return {
+    start: new Date(start.getFullYear(), start.getMonth(), start.getDate()),
+    end: new Date(end.getFullYear(), end.getMonth(), end.getDate(), 24),
+  };
+}
+
+/**
+ * Parses a period given as one of:
+ *  - a month, e.g., 2026-09
+ *  - a calendar quarter, e.g., 2026-Q3
+ *  - a calendar year, e.g., 2026
+ *  - the last N complete months, e.g., last-3-months
+ *  - a custom range of dates, e.g., 2026-01-15..2026-02-28
+ *
+ * @param {string} value
+ * @returns {Period | null}
+ */
+export function parsePeriod(value) {
+  value = value.trim();
+
+  let match = /^(\d{4})$/.exec(value);
+  if (match) {
+    return getYearPeriod(parseInt(match[1], 10));
+  }
+
+  match = /^(\d{4})-[qQ]([1-4])$/.exec(value);
+  if (match) {
+    return getQuarterPeriod(parseInt(match[1], 10), parseInt(match[2], 10));
+  }
+
+  match = /^(\d{4})-(\d{2})$/.exec(value);
+  if (match) {
+    // Months are zero-indexed:
+    const month = parseInt(match[2], 10) - 1;
+    if (month < 0 || month > 11) {
+      return null;
+    }
+
+    return monthPeriod(parseInt(match[1], 10), month);
+  }
+
+  match = /^last-(\d+)-months?$/.exec(value);
+  if (match) {
+    const months = parseInt(match[1], 10);
+    return months > 0 ? getLastMonthsPeriod(months) : null;
+  }
+
+  match = /^(\S+)\.\.(\S+)$/.exec(value);
+  if (match) {
+    const start = parseIsoDate(match[1]);
+    const end = parseIsoDate(match[2]);
+
+    return start && end ? getCustomPeriod(start, end) : null;
+  }
+
+  return null;
+}
+
 export function formatDate(date, longDate) {
   return Intl.DateTimeFormat(
     "en-GB",
@@ -83,6 +207,56 @@ const isoFormatter = Intl.DateTimeFormat("fr-CA", {
 export function formatIsoDate(date) {
   return isoFormatter.format(date);
 }
+
+/**
+ * The time documents are generated at, which is SOURCE_DATE_EPOCH (in seconds)
+ * when it's set, so that the same data always generates the same files, see
+ * https://reproducible-builds.org/specs/source-date-epoch/
+ *
+ * @returns {Date}
+ */
+export function getGeneratedAt() {
+  const epoch = process.env.SOURCE_DATE_EPOCH;
+
+  return epoch ? new Date(Number(epoch) * 1000) : new Date();
+}
+
+/**
+ * Formats a date using a pattern of YYYY, MM, DD, HH, mm and ss tokens, e.g.,
+ * DD.MM.YYYY
+ *
+ * @param {Date} date
+ * @param {string} pattern
+ * @returns {string}
+ */
+export function formatDatePattern(date, pattern) {
+  const pad = (value) => String(value).padStart(2, "0");
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+  };
+
+  return pattern.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => tokens[token]);
+}
+
+/**
+ * A short representation of a period for use in filenames, e.g.,
+ * 2026-09-01_2026-09-30, the end date is included
+ *
+ * @param {Period} period
+ * @returns {string}
+ */
+export function getPeriodSlug(period) {
+  // The end of a period is the start of the following day:
+  const lastDay = new Date(period.end.valueOf() - 1);
+
+  return `${formatIsoDate(period.start)}_${formatIsoDate(lastDay)}`;
+}
+
 export function formatPeriod(period, longDate) {
   return `${formatDate(period.start, !!longDate)} until ${formatDate(
     period.end,
@@ -99,6 +273,43 @@ export function getMonthChoices() {
   }));
 }
 
+export function getQuarterChoices() {
+  const date = new Date();
+  const currentQuarter = Math.floor(date.getMonth() / 3) + 1;
+
+  const choices = [];
+
+  // The current quarter and the previous 7, most recent first:
+  for (let i = 0; i < 8; i++) {
+    const offset = currentQuarter - 1 - i;
+    const year = date.getFullYear() + Math.floor(offset / 4);
+    const quarter = (((offset % 4) + 4) % 4) + 1;
+
+    choices.push({
+      title: `${year} Q${quarter}`,
+      value: getQuarterPeriod(year, quarter),
+    });
+  }
+
+  return choices;
+}
+
+export function getYearChoices() {
+  const year = new Date().getFullYear();
+
+  const choices = [];
+
+  // The current year and the previous 5, most recent first:
+  for (let i = 0; i <= 5; i++) {
+    choices.push({
+      title: String(year - i),
+      value: getYearPeriod(year - i),
+    });
+  }
+
+  return choices;
+}
+
 // validate: (value) => {
 //   const parts = value.split("-");
 //   if (parts.length !== 3) return false;
@@ -0,0 +1,247 @@
+import { getLineTax, getTaxBreakdown } from "./taxation.js";
+import { localize } from "./i18n.js";
+import { getCountryIsoCode } from "./utils.js";
+
+/**
+ * The content of an electronic invoice, following the business terms (BT) of
+ * EN 16931, from which the XML formats are written. Amounts are in cents.
+ */
+
+/**
+ * @typedef EInvoiceAddress
+ * @property {string | null} line1
+ * @property {string | null} line2
+ * @property {string | null} postalCode
+ * @property {string | null} city
+ * @property {string | null} countryCode ISO 3166-1 alpha-2
+ */
+
+/**
+ * @typedef EInvoiceParty
+ * @property {string} name
+ * @property {EInvoiceAddress} address
+ * @property {string | null} email
+ * @property {string | null} vatId
+ * @property {string | null} taxId the tax number, for the seller
+ * @property {{ name: string | null, phone: string | null, email: string | null } | null} contact
+ *   for the seller
+ */
+
+/**
+ * @typedef EInvoiceLine
+ * @property {string} id
+ * @property {string} name
+ * @property {number} quantity
+ * @property {number} net
+ * @property {string} category VAT category code, e.g., S, Z, E or AE
+ * @property {number} rate in percent
+ * @property {{ start: Date, end: Date } | null} period
+ */
+
+/**
+ * @typedef EInvoiceTax
+ * @property {string} category VAT category code
+ * @property {number} rate in percent
+ * @property {number} basis
+ * @property {number} tax
+ * @property {string | null} exemptionReason
+ */
+
+/**
+ * @typedef EInvoice
+ * @property {string} number
+ * @property {string} typeCode UNTDID 1001 document type, 380 for invoices
+ * @property {Date} issueDate
+ * @property {Date} deliveryDate
+ * @property {string} currency
+ * @property {EInvoiceParty} seller
+ * @property {EInvoiceParty} buyer
+ * @property {string | null} buyerReference
+ * @property {string[]} notes
+ * @property {EInvoiceLine[]} lines
+ * @property {EInvoiceTax[]} taxes
+ * @property {{ lines: number, taxBasis: number, tax: number, grand: number, prepaid: number, due: number }} totals
+ * @property {{ typeCode: string, information: string | null, cardNumber: string | null, cardNetwork: string | null }} paymentMeans
+ * @property {string} paymentReference
+ */
+
+/**
+ * The specification and business process identifiers of XRechnung, the German
+ * CIUS of EN 16931
+ */
+export const XRECHNUNG_SPECIFICATION =
+  "urn:cen.eu:en16931:2017#compliant#urn:xeinkauf.de:kosit:xrechnung_3.0";
+export const XRECHNUNG_BUSINESS_PROCESS =
+  "urn:fdc:peppol.eu:2017:poacc:billing:01.0";
+
+/**
+ * UNTDID 4461 payment means codes for Stripe payment methods, others are paid
+ * through an online payment service
+ */
+const paymentMeansCodes = {
+  card: "48",
+  sepa_debit: "59",
+};
+
+/**
+ * @param {any} charge a processed charge, see processCharge
+ * @returns {EInvoice["paymentMeans"]}
+ */
+function getPaymentMeans(charge) {
+  const type = charge.payment_method?.type ?? null;
+  const isCard = type === "card";
+
+  return {
+    typeCode: paymentMeansCodes[type] ?? "68",
+    information: type ? `Stripe (${type})` : "Stripe",
+    cardNumber: isCard ? charge.payment_method.last4 ?? null : null,
+    cardNetwork: isCard ? charge.payment_method.network ?? null : null,
+  };
+}
+
+/**
+ * The content of the electronic invoice for a receipt, using the same tax
+ * breakdown as the receipt
+ *
+ * @param {any} charge a processed charge, see processCharge
+ * @param {object} options
+ * @param {string} options.receiptNumber
+ * @param {import("./configuration.js").configuration} options.config
+ * @param {import("./taxation.js").TaxLaw} options.taxLaw
+ * @param {import("./taxation.js").TaxBreakdown | null} options.breakdown when
+ *   VAT registered
+ * @param {import("./i18n.js").Localization} options.l10n
+ * @returns {EInvoice}
+ */
+export function getEInvoice(
+  charge,
+  { receiptNumber, config, taxLaw, breakdown, l10n }
+) {
+  const { business } = config;
+  const billing = charge.billing_details;
+
+  // Small businesses don't charge VAT, unless Stripe added any:
+  const taxBreakdown = breakdown ?? getTaxBreakdown(charge.invoice, 0);
+
+  const getCategory = (rate) => {
+    if (taxBreakdown.reverseCharge) {
+      return {
+        category: "AE",
+        exemptionReason: localize(taxLaw.reverseChargeStatement, l10n.language),
+      };
+    } else if (rate > 0) {
+      return { category: "S", exemptionReason: null };
+    } else if (!breakdown) {
+      return {
+        category: "E",
+        exemptionReason: localize(taxLaw.smallBusinessStatement, l10n.language),
+      };
+    }
+
+    return { category: "Z", exemptionReason: null };
+  };
+
+  const lines = charge.invoice.lines.map((line, index) => {
+    const { rate, net } = getLineTax(line, taxBreakdown);
+
+    return {
+      id: String(index + 1),
+      name: line.description ?? charge.description ?? "",
+      quantity: 1,
+      net,
+      category: getCategory(rate).category,
+      rate,
+      period:
+        line.period.start &&
+        line.period.end &&
+        line.period.start.getTime() !== line.period.end.getTime()
+          ? { start: line.period.start, end: line.period.end }
+          : null,
+    };
+  });
+
+  // Rounding the net amount of each line can leave the lines of a VAT rate a
+  // cent off the net amount of the rate, which e-invoices don't allow:
+  taxBreakdown.rates.forEach((entry) => {
+    const ratedLines = lines.filter((line) => line.rate === entry.rate);
+    const difference =
+      entry.net - ratedLines.reduce((total, line) => total + line.net, 0);
+
+    if (ratedLines.length > 0 && difference !== 0) {
+      ratedLines[ratedLines.length - 1].net += difference;
+    }
+  });
+
+  const taxes = taxBreakdown.rates.map((entry) => ({
+    ...getCategory(entry.rate),
+    rate: entry.rate,
+    basis: entry.net,
+    tax: entry.tax,
+  }));
+
+  const lineTotal = lines.reduce((total, line) => total + line.net, 0);
+  const taxTotal = taxes.reduce((total, entry) => total + entry.tax, 0);
+
+  return {
+    number: receiptNumber,
+    typeCode: "380",
+    issueDate: charge.created,
+    deliveryDate: charge.created,
+    currency: charge.currency.toUpperCase(),
+    seller: {
+      name: business.name,
+      address: {
+        line1: business.address_line_1 || null,
+        line2: business.address_line_2 || null,
+        postalCode: business.postal_code || null,
+        city: business.city || null,
+        countryCode: getCountryIsoCode(business.country),
+      },
+      email: business.email || null,
+      vatId: business.vat_identifier || null,
+      taxId: business.tax_identifier || null,
+      contact: {
+        name: business.name || null,
+        phone: business.phone || null,
+        email: business.email || null,
+      },
+    },
+    buyer: {
+      name: billing.name ?? charge.customer?.name ?? billing.email ?? "",
+      address: {
+        line1: billing.address?.line1 ?? null,
+        line2: billing.address?.line2 ?? null,
+        postalCode: billing.address?.postal_code ?? null,
+        city: billing.address?.city ?? null,
+        countryCode: getCountryIsoCode(billing.address?.country),
+      },
+      email: billing.email ?? null,
+      vatId: charge.invoice.customer_tax_ids[0]?.value ?? null,
+      taxId: null,
+      contact: null,
+    },
+    // Public-sector customers give a Leitweg-ID as their buyer reference:
+    buyerReference:
+      charge.customer?.metadata?.buyer_reference ??
+      charge.metadata?.buyer_reference ??
+      null,
+    notes: taxes
+      .map((entry) => entry.exemptionReason)
+      .filter(
+        (reason, index, reasons) => reason && reasons.indexOf(reason) === index
+      ),
+    lines,
+    taxes,
+    totals: {
+      lines: lineTotal,
+      taxBasis: lineTotal,
+      tax: taxTotal,
+      grand: lineTotal + taxTotal,
+      // Receipts are for charges that have already been paid:
+      prepaid: lineTotal + taxTotal,
+      due: 0,
+    },
+    paymentMeans: getPaymentMeans(charge),
+    paymentReference: charge.id,
+  };
+}
@@ -0,0 +1,86 @@
+import nodemailer from "nodemailer";
+
+import { formatTemplate, localize } from "./i18n.js";
+
+/**
+ * @typedef Email
+ * @property {string} to
+ * @property {string} subject
+ * @property {string} text
+ */
+
+/**
+ * An SMTP transport for the configured server
+ *
+ * @param {import("./configuration.js").configuration["email"]} email
+ * @returns {import("nodemailer").Transporter}
+ */
+export function createTransport({ host, port, secure, user, password }) {
+  return nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined,
+  });
+}
+
+/**
+ * The sender of emails, the configured one, or the business
+ *
+ * @param {import("./configuration.js").configuration} config
+ * @returns {string}
+ */
+export function getSender(config) {
+  if (config.email.from) {
+    return config.email.from;
+  }
+
+  return config.business.name
+    ? `${config.business.name} <${config.business.email}>`
+    : config.business.email;
+}
+
+/**
+ * The email address of the customer who paid a charge, if there is one
+ *
+ * @param {any} charge a processed charge, see processCharge
+ * @returns {string | null}
+ */
+export function getRecipient(charge) {
+  return charge.billing_details.email ?? charge.customer?.email ?? null;
+}
+
+/**
+ * The email for a receipt, using the configured templates or the translations
+ * of the language of the receipt
+ *
+ * @param {any} charge a processed charge, see processCharge
+ * @param {object} options
+ * @param {string} options.receiptNumber
+ * @param {string} options.to
+ * @param {import("./configuration.js").configuration} options.config
+ * @param {import("./i18n.js").Localization} options.l10n
+ * @returns {Email}
+ */
+export function getReceiptEmail(charge, { receiptNumber, to, config, l10n }) {
+  const { t, language } = l10n;
+
+  const values = {
+    receiptNumber,
+    name: charge.billing_details.name ?? charge.customer?.name ?? to,
+    amount: l10n.formatPrice(charge.amount, charge.currency),
+    date: l10n.formatDate(charge.created, true),
+    business: config.business.name,
+  };
+
+  const render = (template, key) =>
+    template
+      ? formatTemplate(localize(template, language), values)
+      : t(key, values);
+
+  return {
+    to,
+    subject: render(config.email.subject, "email.receiptSubject"),
+    text: render(config.email.body, "email.receiptBody"),
+  };
+}
@@ -0,0 +1,221 @@
+import Stripe from "stripe";
+import { createHash } from "node:crypto";
+import { join as joinPath } from "node:path";
+import { existsSync, readdirSync, readFileSync } from "node:fs";
+import { writeFile } from "node:fs/promises";
+import { mkdirp } from "fs-extra";
+
+const FIXTURE_VERSION = 1;
+
+/**
+ * @typedef Fixture
+ * @property {number} version
+ * @property {string} method
+ * @property {string} path including the query, e.g., for the page
+ * @property {string} requestData
+ * @property {number} status
+ * @property {Record<string, string>} headers
+ * @property {any} response
+ */
+
+/**
+ * @typedef FixtureOptions
+ * @property {"record" | "replay"} mode
+ * @property {string} directory
+ */
+
+/**
+ * The file a request is saved to, named after the API resource and a hash of
+ * the request, e.g., GET-balance_transactions-1a2b3c4d5e6f.json
+ *
+ * @param {string} method
+ * @param {string} path
+ * @param {string} requestData
+ * @returns {string}
+ */
+function getFixtureFilename(method, path, requestData) {
+  const resource = path
+    .split("?")[0]
+    .replace(/^\/v1\//, "")
+    .replace(/[^\w-]+/g, "_");
+  const hash = createHash("sha1")
+    .update(`${method} ${path}\n${requestData}`)
+    .digest("hex")
+    .slice(0, 12);
+
+  return `${method}-${resource}-${hash}.json`;
+}
+
+/**
+ * A response read from a fixture, or saved to one
+ */
+class FixtureResponse extends Stripe.HttpClientResponse {
+  /**
+   * @param {number} status
+   * @param {Record<string, string>} headers
+   * @param {any} body
+   */
+  constructor(status, headers, body) {
+    super(status, headers);
+    this.body = body;
+  }
+
+  getRawResponse() {
+    return this.body;
+  }
+
+  toStream() {
+    throw new Error("Streaming responses can't be recorded or replayed");
+  }
+
+  toJSON() {
+    return Promise.resolve(this.body);
+  }
+}
+
+/**
+ * Makes requests to the Stripe API and saves each response to a fixture file,
+ * so the run can be replayed without the API
+ */
+class RecordingHttpClient extends Stripe.HttpClient {
+  /**
+   * @param {string} directory
+   */
+  constructor(directory) {
+    super();
+    this.directory = directory;
+    this.client = Stripe.createNodeHttpClient();
+  }
+
+  getClientName() {
+    return "record";
+  }
+
+  async makeRequest(
+    host,
+    port,
+    path,
+    method,
+    headers,
+    requestData,
+    protocol,
+    timeout
+  ) {
+    const response = await this.client.makeRequest(
+      host,
+      port,
+      path,
+      method,
+      headers,
+      requestData,
+      protocol,
+      timeout
+    );
+    const status = response.getStatusCode();
+    const responseHeaders = response.getHeaders();
+    const body = await response.toJSON();
+
+    /** @type {Fixture} */
+    const fixture = {
+      version: FIXTURE_VERSION,
+      method,
+      path,
+      requestData,
+      status,
+      headers: responseHeaders,
+      response: body,
+    };
+
+    await mkdirp(this.directory);
+    await writeFile(
+      joinPath(this.directory, getFixtureFilename(method, path, requestData)),
+      JSON.stringify(fixture, null, 2)
+    );
+
+    return new FixtureResponse(status, responseHeaders, body);
+  }
+}
+
+/**
+ * Answers requests from the fixture files saved by RecordingHttpClient,
+ * without making any requests to the Stripe API
+ */
+class ReplayHttpClient extends Stripe.HttpClient {
+  /**
+   * @param {string} directory
+   */
+  constructor(directory) {
+    super();
+    this.directory = directory;
+  }
+
+  getClientName() {
+    return "replay";
+  }
+
+  async makeRequest(host, port, path, method, headers, requestData) {
+    const file = joinPath(
+      this.directory,
+      getFixtureFilename(method, path, requestData)
+    );
+
+    if (!existsSync(file)) {
+      throw new Error(
+        `No fixture for ${method} ${path} in ${this.directory}, please record it first`
+      );
+    }
+
+    /** @type {Fixture} */
+    const fixture = JSON.parse(readFileSync(file, "utf8"));
+    if (fixture.version !== FIXTURE_VERSION) {
+      throw new Error(
+        `Unsupported fixture version ${fixture.version} in ${file}, expected ${FIXTURE_VERSION}`
+      );
+    }
+
+    return new FixtureResponse(
+      fixture.status,
+      fixture.headers,
+      fixture.response
+    );
+  }
+}
+
+/**
+ * The HTTP client for the Stripe client of an account, which records to or
+ * replays from the account's directory of fixtures
+ *
+ * @param {FixtureOptions} fixtures
+ * @param {string} account
+ * @returns {import("stripe").Stripe.HttpClient}
+ */
+export function getFixtureHttpClient({ mode, directory }, account) {
+  const accountDirectory = joinPath(directory, account);
+
+  return mode === "record"
+    ? new RecordingHttpClient(accountDirectory)
+    : new ReplayHttpClient(accountDirectory);
+}
+
+/**
+ * The accounts that have fixtures, in place of their Stripe tokens when
+ * replaying
+ *
+ * @param {string} directory
+ * @returns {Map<string, string>}
+ */
+export function getFixtureAccounts(directory) {
+  const accounts = new Map();
+  if (!existsSync(directory)) {
+    return accounts;
+  }
+
+  readdirSync(directory, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .forEach((entry) => {
+      // The Stripe client needs a key, but replaying never sends it:
+      accounts.set(entry.name, "sk_replay");
+    });
+
+  return accounts;
+}
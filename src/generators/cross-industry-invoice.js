@@ -0,0 +1,344 @@
+import { element, serializeXml, textElement } from "./xml.js";
+import {
+  XRECHNUNG_BUSINESS_PROCESS,
+  XRECHNUNG_SPECIFICATION,
+} from "../e-invoice.js";
+
+/**
+ * The Factur-X / ZUGFeRD profiles, with the guideline the XML conforms to, the
+ * conformance level for the PDF metadata and how the XML relates to the PDF.
+ * XRECHNUNG is also written as standalone XML.
+ */
+export const FACTUR_X_PROFILES = {
+  MINIMUM: {
+    guideline: "urn:factur-x.eu:1p0:minimum",
+    conformanceLevel: "MINIMUM",
+    relationship: "Data",
+  },
+  BASIC: {
+    guideline: "urn:cen.eu:en16931:2017#compliant#urn:factur-x.eu:1p0:basic",
+    conformanceLevel: "BASIC",
+    relationship: "Alternative",
+  },
+  EN16931: {
+    guideline: "urn:cen.eu:en16931:2017",
+    conformanceLevel: "EN 16931",
+    relationship: "Alternative",
+  },
+  XRECHNUNG: {
+    guideline: XRECHNUNG_SPECIFICATION,
+    conformanceLevel: "XRECHNUNG",
+    relationship: "Alternative",
+  },
+};
+
+const namespaces = {
+  "xmlns:rsm": "urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100",
+  "xmlns:ram":
+    "urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100",
+  "xmlns:qdt": "urn:un:unece:uncefact:data:standard:QualifiedDataType:100",
+  "xmlns:udt": "urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100",
+};
+
+/**
+ * Whether the profile has all business terms of EN 16931, rather than a subset
+ *
+ * @param {string} profile
+ * @returns {boolean}
+ */
+function isComplete(profile) {
+  return profile === "EN16931" || profile === "XRECHNUNG";
+}
+
+/**
+ * @param {number} amount in cents
+ * @returns {string}
+ */
+function formatAmount(amount) {
+  return (amount / 100).toFixed(2);
+}
+
+/**
+ * @param {number} rate in percent
+ * @returns {string}
+ */
+function formatRate(rate) {
+  return rate.toFixed(2);
+}
+
+/**
+ * A date in the format 102 (YYYYMMDD)
+ *
+ * @param {string} name
+ * @param {Date} date
+ */
+function dateElement(name, date) {
+  const value = Intl.DateTimeFormat("fr-CA", {
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  })
+    .format(date)
+    .replaceAll("-", "");
+
+  return element(
+    name,
+    {},
+    element("udt:DateTimeString", { format: "102" }, value)
+  );
+}
+
+/**
+ * @param {import("../e-invoice.js").EInvoiceParty} party
+ * @param {string} name
+ * @param {string} profile
+ */
+function tradeParty(party, name, profile) {
+  const { address } = party;
+  const isSeller = name === "ram:SellerTradeParty";
+
+  // The MINIMUM profile only has the country and VAT ID of the seller:
+  const postalAddress =
+    profile === "MINIMUM"
+      ? isSeller &&
+        element(
+          "ram:PostalTradeAddress",
+          {},
+          textElement("ram:CountryID", address.countryCode)
+        )
+      : address.countryCode &&
+        element(
+          "ram:PostalTradeAddress",
+          {},
+          textElement("ram:PostcodeCode", address.postalCode),
+          textElement("ram:LineOne", address.line1),
+          textElement("ram:LineTwo", address.line2),
+          textElement("ram:CityName", address.city),
+          textElement("ram:CountryID", address.countryCode)
+        );
+
+  return element(
+    name,
+    {},
+    textElement("ram:Name", party.name),
+    profile === "XRECHNUNG" &&
+      party.contact &&
+      element(
+        "ram:DefinedTradeContact",
+        {},
+        textElement("ram:PersonName", party.contact.name),
+        party.contact.phone &&
+          element(
+            "ram:TelephoneUniversalCommunication",
+            {},
+            textElement("ram:CompleteNumber", party.contact.phone)
+          ),
+        party.contact.email &&
+          element(
+            "ram:EmailURIUniversalCommunication",
+            {},
+            textElement("ram:URIID", party.contact.email)
+          )
+      ),
+    postalAddress,
+    isComplete(profile) &&
+      party.email &&
+      element(
+        "ram:URIUniversalCommunication",
+        {},
+        textElement("ram:URIID", party.email, { schemeID: "EM" })
+      ),
+    (isSeller || profile !== "MINIMUM") &&
+      party.vatId &&
+      element(
+        "ram:SpecifiedTaxRegistration",
+        {},
+        textElement("ram:ID", party.vatId, { schemeID: "VA" })
+      ),
+    profile !== "MINIMUM" &&
+      party.taxId &&
+      element(
+        "ram:SpecifiedTaxRegistration",
+        {},
+        textElement("ram:ID", party.taxId, { schemeID: "FC" })
+      )
+  );
+}
+
+/**
+ * @param {import("../e-invoice.js").EInvoiceLine} line
+ * @param {string} profile
+ */
+function lineItem(line, profile) {
+  return element(
+    "ram:IncludedSupplyChainTradeLineItem",
+    {},
+    element(
+      "ram:AssociatedDocumentLineDocument",
+      {},
+      textElement("ram:LineID", line.id)
+    ),
+    element(
+      "ram:SpecifiedTradeProduct",
+      {},
+      textElement("ram:Name", line.name)
+    ),
+    element(
+      "ram:SpecifiedLineTradeAgreement",
+      {},
+      element(
+        "ram:NetPriceProductTradePrice",
+        {},
+        textElement("ram:ChargeAmount", formatAmount(line.net / line.quantity))
+      )
+    ),
+    element(
+      "ram:SpecifiedLineTradeDelivery",
+      {},
+      textElement("ram:BilledQuantity", line.quantity, { unitCode: "C62" })
+    ),
+    element(
+      "ram:SpecifiedLineTradeSettlement",
+      {},
+      element(
+        "ram:ApplicableTradeTax",
+        {},
+        textElement("ram:TypeCode", "VAT"),
+        textElement("ram:CategoryCode", line.category),
+        textElement("ram:RateApplicablePercent", formatRate(line.rate))
+      ),
+      isComplete(profile) &&
+        line.period &&
+        element(
+          "ram:BillingSpecifiedPeriod",
+          {},
+          dateElement("ram:StartDateTime", line.period.start),
+          dateElement("ram:EndDateTime", line.period.end)
+        ),
+      element(
+        "ram:SpecifiedTradeSettlementLineMonetarySummation",
+        {},
+        textElement("ram:LineTotalAmount", formatAmount(line.net))
+      )
+    )
+  );
+}
+
+/**
+ * Writes an electronic invoice as UN/CEFACT Cross Industry Invoice XML, as
+ * embedded in Factur-X / ZUGFeRD PDFs, in the given profile
+ *
+ * @param {import("../e-invoice.js").EInvoice} invoice
+ * @param {keyof FACTUR_X_PROFILES} profile
+ * @returns {string}
+ */
+export default function crossIndustryInvoice(invoice, profile) {
+  const { guideline } = FACTUR_X_PROFILES[profile];
+  const { currency, totals } = invoice;
+  const isMinimum = profile === "MINIMUM";
+
+  const settlement = element(
+    "ram:ApplicableHeaderTradeSettlement",
+    {},
+    !isMinimum && textElement("ram:PaymentReference", invoice.paymentReference),
+    textElement("ram:InvoiceCurrencyCode", currency),
+    !isMinimum &&
+      element(
+        "ram:SpecifiedTradeSettlementPaymentMeans",
+        {},
+        textElement("ram:TypeCode", invoice.paymentMeans.typeCode),
+        isComplete(profile) &&
+          textElement("ram:Information", invoice.paymentMeans.information),
+        isComplete(profile) &&
+          invoice.paymentMeans.cardNumber &&
+          element(
+            "ram:ApplicableTradeSettlementFinancialCard",
+            {},
+            textElement("ram:ID", invoice.paymentMeans.cardNumber)
+          )
+      ),
+    !isMinimum &&
+      invoice.taxes.map((tax) =>
+        element(
+          "ram:ApplicableTradeTax",
+          {},
+          textElement("ram:CalculatedAmount", formatAmount(tax.tax)),
+          textElement("ram:TypeCode", "VAT"),
+          textElement("ram:ExemptionReason", tax.exemptionReason),
+          textElement("ram:BasisAmount", formatAmount(tax.basis)),
+          textElement("ram:CategoryCode", tax.category),
+          textElement("ram:RateApplicablePercent", formatRate(tax.rate))
+        )
+      ),
+    element(
+      "ram:SpecifiedTradeSettlementHeaderMonetarySummation",
+      {},
+      !isMinimum &&
+        textElement("ram:LineTotalAmount", formatAmount(totals.lines)),
+      textElement("ram:TaxBasisTotalAmount", formatAmount(totals.taxBasis)),
+      textElement("ram:TaxTotalAmount", formatAmount(totals.tax), {
+        currencyID: currency,
+      }),
+      textElement("ram:GrandTotalAmount", formatAmount(totals.grand)),
+      !isMinimum &&
+        textElement("ram:TotalPrepaidAmount", formatAmount(totals.prepaid)),
+      textElement("ram:DuePayableAmount", formatAmount(totals.due))
+    )
+  );
+
+  return serializeXml(
+    element(
+      "rsm:CrossIndustryInvoice",
+      namespaces,
+      element(
+        "rsm:ExchangedDocumentContext",
+        {},
+        profile === "XRECHNUNG" &&
+          element(
+            "ram:BusinessProcessSpecifiedDocumentContextParameter",
+            {},
+            textElement("ram:ID", XRECHNUNG_BUSINESS_PROCESS)
+          ),
+        element(
+          "ram:GuidelineSpecifiedDocumentContextParameter",
+          {},
+          textElement("ram:ID", guideline)
+        )
+      ),
+      element(
+        "rsm:ExchangedDocument",
+        {},
+        textElement("ram:ID", invoice.number),
+        textElement("ram:TypeCode", invoice.typeCode),
+        dateElement("ram:IssueDateTime", invoice.issueDate),
+        !isMinimum &&
+          invoice.notes.map((note) =>
+            element("ram:IncludedNote", {}, textElement("ram:Content", note))
+          )
+      ),
+      element(
+        "rsm:SupplyChainTradeTransaction",
+        {},
+        !isMinimum && invoice.lines.map((line) => lineItem(line, profile)),
+        element(
+          "ram:ApplicableHeaderTradeAgreement",
+          {},
+          textElement("ram:BuyerReference", invoice.buyerReference),
+          tradeParty(invoice.seller, "ram:SellerTradeParty", profile),
+          tradeParty(invoice.buyer, "ram:BuyerTradeParty", profile)
+        ),
+        element(
+          "ram:ApplicableHeaderTradeDelivery",
+          {},
+          !isMinimum &&
+            element(
+              "ram:ActualDeliverySupplyChainEvent",
+              {},
+              dateElement("ram:OccurrenceDateTime", invoice.deliveryDate)
+            )
+        ),
+        settlement
+      )
+    )
+  );
+}
@@ -1,19 +1,70 @@
+import { readFileSync } from "node:fs";
+import { extname } from "node:path";
+import { fileURLToPath } from "node:url";
 import PDFDocument from "pdfkit";
+import SVGtoPDF from "svg-to-pdfkit";
 import defaults from "lodash.defaults";
 import { getStreamAsBuffer } from "get-stream";
 
+import { getLocalization } from "../i18n.js";
+import { getGeneratedAt } from "../date-fns.js";
+
 // Notice: This code was originally based on that of the npm package
 // MicroInvoice (MIT Licensed), however, I found it didn't seem to work anymore,
 // and required customizations for my use case.
 
 /**
- * Convert numbers to fixed value and adds currency
+ * The fonts shipped with the tool, DejaVu Sans covers Latin, Greek and
+ * Cyrillic, see assets/fonts/LICENSE
+ */
+const DEFAULT_FONTS = {
+  normal: fileURLToPath(
+    new URL("../../assets/fonts/DejaVuSans.ttf", import.meta.url)
+  ),
+  bold: fileURLToPath(
+    new URL("../../assets/fonts/DejaVuSans-Bold.ttf", import.meta.url)
+  ),
+};
+
+/**
+ * Paths to TTF or OTF files
+ * @typedef FontPaths
+ * @property {string} [normal]
+ * @property {string} [bold]
+ * @property {string} [fallback] used for text with characters the normal or
+ *   bold font doesn't have
+ */
+
+/**
+ * @typedef FacturX
+ * @property {string} xml the Cross Industry Invoice XML
+ * @property {string} conformanceLevel of the profile, e.g., "EN 16931"
+ * @property {"Data" | "Alternative"} relationship of the XML to the PDF
+ */
+
+/**
+ * @typedef Branding
+ * @property {string} [logo] path to a PNG, JPEG or SVG file, shown in the header
+ * @property {string} [primaryColor] of text, as a hex colour, e.g., "#000100"
+ * @property {string} [secondaryColor] of labels and sub-items
+ * @property {string} [headerColor] of the header background
+ */
+
+/**
+ * Convert numbers to fixed value and adds currency, formatted for the locale
+ * of the localization when given
  *
  * @private
  * @param  {string | number} value
+ * @param  {string} [currency]
+ * @param  {import("../i18n.js").Localization} [localization]
  * @return string
  */
-export function prettyPrice(value, currency) {
+export function prettyPrice(value, currency, localization) {
+  if (typeof value === "number" && currency && localization) {
+    return localization.formatPrice(value, currency);
+  }
+
   if (typeof value === "number") {
     value = (value / 100).toFixed(2);
   }
@@ -33,23 +84,41 @@ export function prettyPrice(value, currency) {
  * @name Invoice
  * @function
  * @param {Object} options The options for creating the new invoice:
+ * @param {import("../i18n.js").Localization} [options.localization] language
+ *   and locale of the invoice, defaults to English
+ * @param {FontPaths} [options.fonts] defaults to the shipped DejaVu Sans
+ * @param {Branding} [options.branding]
+ * @param {string} [options.data.invoice.number] shown in the footer of each page
+ * @param {FacturX} [options.facturX] makes the PDF a Factur-X / ZUGFeRD invoice
  */
 export default class Invoice {
   constructor(options) {
+    const localization = options?.localization ?? getLocalization("en");
+    const t = localization.t;
+    const branding = options?.branding ?? {};
+
     this.defaultOptions = {
+      localization,
       style: {
         fonts: {
           normal: {
-            name: "Helvetica",
+            name: "Normal",
+            path: options?.fonts?.normal || DEFAULT_FONTS.normal,
           },
           bold: {
-            name: "Helvetica-Bold",
+            name: "Bold",
+            path: options?.fonts?.bold || DEFAULT_FONTS.bold,
+          },
+          fallback: {
+            name: "Fallback",
+            path: options?.fonts?.fallback || null,
           },
         },
         header: {
-          backgroundColor: "#F8F8FA",
+          backgroundColor: branding.headerColor || "#F8F8FA",
           height: 150,
-          image: null,
+          image: branding.logo || null,
+          imageHeight: 50,
           textPosition: 330,
         },
         table: {
@@ -62,9 +131,12 @@ export default class Invoice {
             maxWidth: 80,
           },
         },
+        footer: {
+          height: 20,
+        },
         text: {
-          primaryColor: "#000100",
-          secondaryColor: "#8F8F8F",
+          primaryColor: branding.primaryColor || "#000100",
+          secondaryColor: branding.secondaryColor || "#8F8F8F",
           titleSize: 30,
           headingSize: 15,
           regularSize: 10,
@@ -73,41 +145,41 @@ export default class Invoice {
 
       data: {
         invoice: {
-          name: "Invoice for Acme",
+          name: t("invoice.title"),
           header: [
             {
-              label: "Invoice Number",
+              label: t("invoice.number"),
               value: 1,
             },
           ],
           customer: [
             {
-              label: "Bill To",
+              label: t("invoice.billTo"),
               value: [],
             },
           ],
           seller: [
             {
-              label: "Bill From",
+              label: t("invoice.billFrom"),
               value: [],
             },
           ],
           details: {
             header: [
               {
-                value: "Description",
+                value: t("invoice.description"),
               },
               {
-                value: "Quantity",
+                value: t("invoice.quantity"),
               },
               {
-                value: "Subtotal",
+                value: t("invoice.subtotal"),
               },
             ],
             parts: [],
             total: [
               {
-                label: "Total",
+                label: t("invoice.total"),
                 value: 0,
               },
             ],
@@ -122,8 +194,19 @@ export default class Invoice {
     this.document = new PDFDocument({
       size: "A4",
       margin: 30,
+      // Pages are kept until the end, to add the total number of pages:
+      bufferPages: true,
+      info: { CreationDate: getGeneratedAt() },
+      // Factur-X invoices are PDF/A-3 files with the XML attached:
+      ...(this.options.facturX
+        ? { pdfVersion: "1.7", subset: "PDF/A-3b" }
+        : {}),
     });
 
+    // The fontkit fonts, to look up which characters each font has:
+    this.fontFaces = {};
+    this.missingCharacterWarnings = new Set();
+
     this.storage = {
       header: {
         image: null,
@@ -134,9 +217,23 @@ export default class Invoice {
       seller: {
         height: 0,
       },
+      table: {
+        header: null,
+      },
     };
   }
 
+  /**
+   * Formats the label of a header or details line, e.g., "Receipt Number:"
+   *
+   * @private
+   * @param  {string} label
+   * @return string
+   */
+  formatLabel(label) {
+    return this.options.localization.t("invoice.label", { label });
+  }
+
   moveTo(x, y) {
     if (x !== null) {
       this.document.x = x;
@@ -148,41 +245,148 @@ export default class Invoice {
   }
 
   /**
-   * Load fallback font (unicode chars)
+   * Registers the normal, bold and fallback fonts with the document
    *
    * @private
    * @return void
    */
-  getFontOrFallback(type) {
+  loadCustomFonts() {
+    Object.entries(this.options.style.fonts).forEach(([type, font]) => {
+      if (!font.path) {
+        return;
+      }
+
+      try {
+        this.document.registerFont(font.name, font.path);
+        this.document.font(font.name);
+      } catch (error) {
+        throw new Error(
+          `Could not load the ${type} font from ${font.path}: ${error.message}`
+        );
+      }
+
+      // PDFKit doesn't tell which characters a font has, but the fontkit font
+      // it loaded does:
+      this.fontFaces[type] = this.document._font.font;
+    });
+  }
+
+  /**
+   * The characters of a value which a font doesn't have
+   *
+   * @private
+   * @param  {string} type normal, bold or fallback
+   * @param  {string} value
+   * @return string[]
+   */
+  missingCharacters(type, value) {
+    const face = this.fontFaces[type];
+    if (!face) {
+      return [];
+    }
+
+    return Array.from(String(value ?? "")).filter(
+      (character) =>
+        // Whitespace, control characters and variation selectors aren't drawn:
+        !/[\s\p{C}\uFE00-\uFE0F]/u.test(character) &&
+        !face.hasGlyphForCodePoint(character.codePointAt(0))
+    );
+  }
+
+  /**
+   * The font for a value, which is the fallback font if it has more of the
+   * value's characters than the font of the given weight
+   *
+   * @private
+   * @param  {string} type normal or bold
+   * @param  {string} value
+   * @return string
+   */
+  getFontOrFallback(type, value) {
     if (type !== "normal" && type !== "bold") {
       type = "normal";
     }
 
-    return this.options.style.fonts[type].name;
+    const { fonts } = this.options.style;
+
+    let font = fonts[type].name;
+    let missing = this.missingCharacters(type, value);
+    if (missing.length === 0) {
+      return font;
+    }
+
+    if (this.fontFaces.fallback) {
+      const missingFromFallback = this.missingCharacters("fallback", value);
+
+      if (missingFromFallback.length < missing.length) {
+        font = fonts.fallback.name;
+        missing = missingFromFallback;
+      }
+    }
+
+    const characters = Array.from(new Set(missing)).join("");
+    if (characters && !this.missingCharacterWarnings.has(characters)) {
+      this.missingCharacterWarnings.add(characters);
+      console.warn(
+        `Warning: the fonts have no characters for "${characters}" in "${value}", set a fallback font which has them`
+      );
+    }
+
+    return font;
   }
 
   /**
-   * Show value or transliterate
+   * Loads the logo, SVG files are kept as markup to be drawn as vectors
    *
    * @private
-   * @param  {string} value
    * @return void
    */
-  valueOrTransliterate(value) {
-    let _fallbackRange = this.options.style.fonts.fallback?.range;
+  loadImage() {
+    const path = this.options.style.header.image;
+    if (!path) {
+      return;
+    }
+
+    try {
+      this.storage.header.image =
+        extname(path).toLowerCase() === ".svg"
+          ? { svg: readFileSync(path, "utf8") }
+          : this.document.openImage(path);
+    } catch (error) {
+      throw new Error(`Could not load the logo from ${path}: ${error.message}`);
+    }
+  }
 
-    // Return default font
-    if (this.options.style.fonts.fallback?.enabled === false) {
-      return value;
+  /**
+   * Draws the logo in the top left corner, left of the header text so it
+   * doesn't overlap the invoice number and dates
+   *
+   * @private
+   * @return void
+   */
+  generateLogo() {
+    const image = this.storage.header.image;
+    if (!image) {
+      return;
     }
 
-    // Return default font if not special chars are found
-    if (!_fallbackRange || !_fallbackRange.test((value || "").toString())) {
-      return value;
+    const { margins } = this.document.page;
+    const width = this.options.style.header.textPosition - margins.left - 20;
+    const height = this.options.style.header.imageHeight;
+
+    if (image.svg) {
+      SVGtoPDF(this.document, image.svg, margins.left, margins.top, {
+        width,
+        height,
+        preserveAspectRatio: "xMinYMin meet",
+      });
+    } else {
+      this.document.image(image, margins.left, margins.top, {
+        fit: [width, height],
+      });
     }
 
-    // return transliterate(value);
-    return value;
+    this.moveTo(margins.left, margins.top + height + 10);
   }
 
   /**
@@ -197,6 +401,8 @@ export default class Invoice {
       .rect(0, 0, this.document.page.width, this.options.style.header.height)
       .fill(this.options.style.header.backgroundColor);
 
+    this.generateLogo();
+
     this.setText(this.options.data.invoice.name, {
       fontSize: "title",
       fontWeight: "bold",
@@ -209,7 +415,7 @@ export default class Invoice {
     );
 
     this.options.data.invoice.header.forEach((line, index) => {
-      this.setText(line.label.length > 0 ? `${line.label}:` : "", {
+      this.setText(line.label.length > 0 ? this.formatLabel(line.label) : "", {
         fontWeight: "bold",
         color: this.options.style.header.regularColor,
         marginTop: index > 0 ? 4 : 0,
@@ -270,7 +476,7 @@ export default class Invoice {
     }
 
     entity.forEach((line) => {
-      this.setText(line.label != " " ? `${line.label}:` : " ", {
+      this.setText(line.label != " " ? this.formatLabel(line.label) : " ", {
         colorCode: "primary",
         fontWeight: "bold",
         marginTop: 8,
@@ -298,54 +504,158 @@ export default class Invoice {
   }
 
   /**
-   * Generates a row
+   * The position, width and alignment of each column of a row
+   *
+   * @private
+   * @param  {array} columns
+   * @return {{ x: number, width: number, align: string }[]}
+   */
+  getColumnLayout(columns) {
+    const { margins, width } = this.document.page;
+    const { quantity, total } = this.options.style.table;
+
+    return columns.map((column, index) => {
+      if (index === 0) {
+        return {
+          x: margins.left,
+          width: (margins.left + width - margins.right) / (columns.length - 2),
+          align: column.price ? "right" : "left",
+        };
+      } else if (columns.length > 2 && index == 1) {
+        return {
+          x: quantity.position,
+          width: quantity.maxWidth,
+          align: column.price ? "right" : "left",
+        };
+      }
+
+      return { x: total.position, width: total.maxWidth, align: "right" };
+    });
+  }
+
+  /**
+   * The text of a column, with prices formatted for the currency
+   *
+   * @private
+   * @param  {object} column
+   * @return string
+   */
+  getColumnText(column) {
+    if (column.price === true) {
+      return prettyPrice(
+        column.value,
+        this.options.data.invoice.currency,
+        this.options.localization
+      );
+    }
+
+    return column.value;
+  }
+
+  /**
+   * The height of a row, without its subitems, which are rows of their own
    *
    * @private
    * @param  {string} type
    * @param  {array} columns
+   * @return number
+   */
+  measureTableRow(type, columns) {
+    const fontWeight = type === "header" ? "bold" : "normal";
+
+    return this.getColumnLayout(columns).reduce((height, layout, index) => {
+      const column = columns[index];
+      let columnHeight = this.measureText(this.getColumnText(column), {
+        fontWeight,
+        maxWidth: layout.width,
+      });
+
+      if (!!column.subtext) {
+        columnHeight +=
+          this.document.currentLineHeight(true) * 0.5 +
+          this.measureText(column.subtext.trim(), {
+            fontWeight,
+            maxWidth: layout.width,
+          });
+      }
+
+      return Math.max(height, columnHeight);
+    }, 0);
+  }
+
+  /**
+   * The lowest position on a page that content can reach, leaving space for
+   * the footer
+   *
+   * @private
+   * @return number
+   */
+  getContentBottom() {
+    return (
+      this.document.page.height -
+      this.document.page.margins.bottom -
+      this.options.style.footer.height
+    );
+  }
+
+  /**
+   * Starts a new page if the content doesn't fit on the current page, and
+   * repeats the header of the table when it's continued on the new page
+   *
+   * @private
+   * @param  {number} height
    * @return void
    */
-  generateTableRow(type, columns, rowTop) {
-    let fontWeight = "normal";
+  ensureSpace(height) {
+    const { margins } = this.document.page;
+    const bottom = this.getContentBottom();
 
-    if (type === "header") {
-      fontWeight = "bold";
+    // Content taller than a page can't be kept together:
+    if (this.document.y + height <= bottom || height > bottom - margins.top) {
+      return;
     }
 
-    let start = this.document.page.margins.left;
-    let maxRowHeight = 0;
+    this.document.addPage();
+    this.moveTo(margins.left, margins.top);
 
-    let maxWidth =
-      (start + this.document.page.width - this.document.page.margins.right) /
-      (columns.length - 2);
+    const header = this.storage.table.header;
+    if (header) {
+      this.generateTableRow("header", header);
+      this.generateLine();
+    }
+  }
+
+  /**
+   * Generates a row, followed by its subitems, starting a new page before the
+   * row if it doesn't fit on the current page
+   *
+   * @private
+   * @param  {string} type
+   * @param  {array} columns
+   * @return void
+   */
+  generateTableRow(type, columns) {
+    let fontWeight = "normal";
 
-    columns.forEach((column, index) => {
-      let _value;
-      let align = "left";
+    if (type === "header") {
+      fontWeight = "bold";
+    }
 
-      if (index === 0) {
-        this.moveTo(start, rowTop);
-      } else if (columns.length > 2 && index == 1) {
-        maxWidth = this.options.style.table.quantity.maxWidth;
+    this.ensureSpace(this.measureTableRow(type, columns));
 
-        this.moveTo(this.options.style.table.quantity.position, rowTop);
-      } else {
-        maxWidth = this.options.style.table.total.maxWidth;
-        align = "right";
-        this.moveTo(this.options.style.table.total.position, rowTop);
-      }
+    const rowTop = this.document.y;
+    let rowBottom = rowTop;
 
-      _value = column.value;
+    this.getColumnLayout(columns).forEach((layout, index) => {
+      const column = columns[index];
 
-      if (column.price === true) {
-        _value = prettyPrice(_value, this.options.data.invoice.currency);
-      }
+      this.moveTo(layout.x, rowTop);
 
-      this.setText(_value, {
+      this.setText(this.getColumnText(column), {
         colorCode: type === "subitem" ? "secondary" : "primary",
-        maxWidth: maxWidth,
+        maxWidth: layout.width,
         fontWeight: fontWeight,
-        align: column.price ? "right" : align,
+        align: layout.align,
       });
 
       // Handles adding additional details to a line item (e.g., subscription period)
@@ -353,39 +663,35 @@ export default class Invoice {
         this.document.moveDown(0.5);
         this.setText(column.subtext.trim(), {
           colorCode: "secondary",
-          maxWidth: maxWidth,
+          maxWidth: layout.width,
           fontWeight: fontWeight,
         });
       }
 
-      if (column.subitems && column.subitems.length > 0) {
-        this.document.moveDown(0.5);
-        column.subitems.forEach((subitem) => {
-          this.generateTableRow(
-            "subitem",
-            [
-              {
-                value: subitem.description,
-              },
-              {
-                value: subitem.date,
-              },
-              {
-                value: subitem.price,
-                price: true,
-              },
-            ],
-            this.document.y
-          );
-          this.document.moveDown(0.25);
-        });
-      }
-
-      maxRowHeight = Math.max(maxRowHeight, this.document.y - rowTop);
-      start += maxWidth + 10;
+      rowBottom = Math.max(rowBottom, this.document.y);
     });
 
-    this.moveTo(this.document.page.margins.left, rowTop + maxRowHeight);
+    this.moveTo(this.document.page.margins.left, rowBottom);
+
+    const subitems = columns.flatMap((column) => column.subitems ?? []);
+    if (subitems.length > 0) {
+      this.document.moveDown(0.5);
+      subitems.forEach((subitem) => {
+        this.generateTableRow("subitem", [
+          {
+            value: subitem.description,
+          },
+          {
+            value: subitem.date,
+          },
+          {
+            value: subitem.price,
+            price: true,
+          },
+        ]);
+        this.document.moveDown(0.25);
+      });
+    }
   }
 
   /**
@@ -427,23 +733,66 @@ export default class Invoice {
 
     this.moveTo(this.document.page.margins.left, startY);
 
-    this.generateTableRow(
-      "header",
-      this.options.data.invoice.details.header,
-      this.document.y
-    );
+    this.generateTableRow("header", this.options.data.invoice.details.header);
 
     this.generateLine();
 
+    // Repeat the header on each page the table continues on:
+    this.storage.table.header = this.options.data.invoice.details.header;
+
     lineItems.forEach((lineItem) => {
-      this.generateTableRow("row", lineItem, this.document.y);
+      this.generateTableRow("row", lineItem);
 
       this.generateLine();
     });
 
+    this.storage.table.header = null;
+
     this.document.moveDown(0.5);
   }
 
+  /**
+   * The height of the totals and legal terms, which are kept together
+   *
+   * @private
+   * @param  {array} totals
+   * @param  {array} legal
+   * @return number
+   */
+  measureTotalsAndLegal(totals, legal) {
+    const totalsHeight = totals.reduce(
+      (height, total) =>
+        height +
+        12 +
+        Math.max(
+          this.measureText(total.label, {
+            fontWeight: "bold",
+            maxWidth: this.options.style.table.quantity.maxWidth,
+          }),
+          this.measureText(this.getColumnText(total), {
+            fontWeight: "bold",
+            maxWidth: this.options.style.table.total.maxWidth,
+          })
+        ) +
+        this.document.currentLineHeight(true),
+      0
+    );
+
+    const { margins, width } = this.document.page;
+    const legalHeight = legal.reduce(
+      (height, legal) =>
+        height +
+        10 +
+        this.measureText(legal.value, {
+          fontWeight: legal.weight,
+          maxWidth: width - margins.left - margins.right,
+        }),
+      30
+    );
+
+    return totalsHeight + legalHeight;
+  }
+
   generateTotals(totals) {
     totals.forEach((total) => {
       let _value = total.value;
@@ -459,7 +808,11 @@ export default class Invoice {
       this.moveTo(this.options.style.table.total.position, rowTop);
 
       if (total.price === true) {
-        _value = prettyPrice(total.value, this.options.data.invoice.currency);
+        _value = prettyPrice(
+          total.value,
+          this.options.data.invoice.currency,
+          this.options.localization
+        );
       }
 
       this.setText(_value, {
@@ -492,6 +845,87 @@ export default class Invoice {
     });
   }
 
+  /**
+   * Generates the footer of each page, with the document number and page
+   * number, once all pages are known
+   *
+   * @private
+   * @return void
+   */
+  generateFooters() {
+    const { t } = this.options.localization;
+    const { start, count } = this.document.bufferedPageRange();
+
+    for (let index = start; index < start + count; index++) {
+      this.document.switchToPage(index);
+
+      const { margins, height, width } = this.document.page;
+      const top = height - margins.bottom - this.options.style.footer.height;
+      const bottomMargin = margins.bottom;
+
+      // Writing below the bottom margin would otherwise start a new page:
+      margins.bottom = 0;
+
+      if (this.options.data.invoice.number) {
+        this.moveTo(margins.left, top);
+        this.setText(this.options.data.invoice.number, {
+          colorCode: "secondary",
+        });
+      }
+
+      this.moveTo(margins.left, top);
+      this.setText(t("invoice.page", { page: index + 1, pages: count }), {
+        colorCode: "secondary",
+        align: "right",
+        maxWidth: width - margins.left - margins.right,
+      });
+
+      margins.bottom = bottomMargin;
+    }
+  }
+
+  /**
+   * Sets the font and font size of text
+   *
+   * @private
+   * @param  {string} text
+   * @param  {object} options
+   * @return void
+   */
+  setFont(text, options = {}) {
+    let _fontWeight = options.fontWeight || "normal";
+    let _fontSize = options.fontSize || "regular";
+    let fontSize = 0;
+
+    if (_fontSize === "heading") {
+      fontSize = this.options.style.text.headingSize;
+    } else if (_fontSize === "title") {
+      fontSize = this.options.style.text.titleSize;
+    } else {
+      fontSize = this.options.style.text.regularSize;
+    }
+
+    this.document.font(this.getFontOrFallback(_fontWeight, text));
+    this.document.fontSize(fontSize);
+  }
+
+  /**
+   * The height of text with the same options as setText, without adding it
+   *
+   * @private
+   * @param  {string} text
+   * @param  {object} options
+   * @return number
+   */
+  measureText(text, options = {}) {
+    this.setFont(text, options);
+
+    return this.document.heightOfString(String(text ?? ""), {
+      width: options.maxWidth,
+      characterSpacing: 0.05,
+    });
+  }
+
   /**
    * Adds text on the invoice with specified optons
    *
@@ -501,14 +935,11 @@ export default class Invoice {
    * @return void
    */
   setText(text, options = {}) {
-    let _fontWeight = options.fontWeight || "normal";
     let _colorCode = options.colorCode || "primary";
-    let _fontSize = options.fontSize || "regular";
     let _textAlign = options.align || "left";
     let _color = options.color || "";
     let _marginTop = options.marginTop || 0;
     let _maxWidth = options.maxWidth;
-    let fontSize = 0;
 
     this.document.y += _marginTop;
 
@@ -520,18 +951,9 @@ export default class Invoice {
       }
     }
 
-    if (_fontSize === "heading") {
-      fontSize = this.options.style.text.headingSize;
-    } else if (_fontSize === "title") {
-      fontSize = this.options.style.text.titleSize;
-    } else {
-      fontSize = this.options.style.text.regularSize;
-    }
-
-    this.document.font(this.getFontOrFallback(_fontWeight));
+    this.setFont(text, options);
 
     this.document.fillColor(_color);
-    this.document.fontSize(fontSize);
 
     const textOptions = {
       align: _textAlign,
@@ -540,12 +962,7 @@ export default class Invoice {
       characterSpacing: 0.05,
     };
 
-    this.document.text(
-      this.valueOrTransliterate(text),
-      this.document.x,
-      this.document.y,
-      textOptions
-    );
+    this.document.text(text, this.document.x, this.document.y, textOptions);
   }
 
   setCustomer(customer) {
@@ -558,6 +975,86 @@ export default class Invoice {
     return this;
   }
 
+  /**
+   * Attaches the Cross Industry Invoice XML of a Factur-X / ZUGFeRD invoice,
+   * along with the metadata that identifies the PDF as one
+   *
+   * @private
+   * @return void
+   */
+  embedFacturX() {
+    const facturX = this.options.facturX;
+    if (!facturX) {
+      return;
+    }
+
+    const name = "factur-x.xml";
+    const data = Buffer.from(facturX.xml, "utf8");
+
+    // PDFKit writes strings as PDF names and String objects as PDF strings,
+    // and its file attachments can't say how they relate to the PDF:
+    const file = this.document.ref({
+      Type: "EmbeddedFile",
+      Subtype: "text#2Fxml",
+      Params: {
+        Size: data.length,
+        ModDate: getGeneratedAt(),
+      },
+    });
+    file.end(data);
+
+    const fileSpec = this.document.ref({
+      Type: "Filespec",
+      F: new String(name),
+      UF: new String(name),
+      EF: { F: file, UF: file },
+      Desc: new String("Factur-X invoice"),
+      AFRelationship: facturX.relationship,
+    });
+    fileSpec.end();
+
+    this.document.addNamedEmbeddedFile(name, fileSpec);
+    this.document._root.data.AF = [fileSpec];
+
+    this.document.appendXML(`
+        <rdf:Description xmlns:fx="urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#" rdf:about="">
+            <fx:DocumentType>INVOICE</fx:DocumentType>
+            <fx:DocumentFileName>${name}</fx:DocumentFileName>
+            <fx:Version>1.0</fx:Version>
+            <fx:ConformanceLevel>${
+              facturX.conformanceLevel
+            }</fx:ConformanceLevel>
+        </rdf:Description>
+        <rdf:Description xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/" xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#" xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#" rdf:about="">
+            <pdfaExtension:schemas>
+                <rdf:Bag>
+                    <rdf:li rdf:parseType="Resource">
+                        <pdfaSchema:schema>Factur-X PDFA Extension Schema</pdfaSchema:schema>
+                        <pdfaSchema:namespaceURI>urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#</pdfaSchema:namespaceURI>
+                        <pdfaSchema:prefix>fx</pdfaSchema:prefix>
+                        <pdfaSchema:property>
+                            <rdf:Seq>
+${["DocumentFileName", "DocumentType", "Version", "ConformanceLevel"]
+  .map(
+    (
+      property
+    ) => `                                <rdf:li rdf:parseType="Resource">
+                                    <pdfaProperty:name>${property}</pdfaProperty:name>
+                                    <pdfaProperty:valueType>Text</pdfaProperty:valueType>
+                                    <pdfaProperty:category>external</pdfaProperty:category>
+                                    <pdfaProperty:description>${property} of the Factur-X invoice</pdfaProperty:description>
+                                </rdf:li>`
+  )
+  .join("\n")}
+                            </rdf:Seq>
+                        </pdfaSchema:property>
+                    </rdf:li>
+                </rdf:Bag>
+            </pdfaExtension:schemas>
+        </rdf:Description>
+        `);
+  }
+
   /**
    * Generates a PDF invoide
    *
@@ -566,13 +1063,19 @@ export default class Invoice {
    * @return Promise
    */
   generate({ lineItems, totals, legal }) {
-    // this.loadCustomFonts();
+    this.loadCustomFonts();
+    this.loadImage();
     this.generateHeader();
     this.generateDetails(this.customer, "customer");
     this.generateDetails(this.business, "seller");
     this.generateLineItems(lineItems);
+
+    // Keep the totals and legal terms together on the last page:
+    this.ensureSpace(this.measureTotalsAndLegal(totals, legal ?? []));
     this.generateTotals(totals);
     this.generateLegal(legal ?? []);
+    this.generateFooters();
+    this.embedFacturX();
 
     const stream = getStreamAsBuffer(this.document);
 
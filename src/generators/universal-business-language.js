@@ -0,0 +1,223 @@
+import { element, serializeXml, textElement } from "./xml.js";
+import {
+  XRECHNUNG_BUSINESS_PROCESS,
+  XRECHNUNG_SPECIFICATION,
+} from "../e-invoice.js";
+
+const namespaces = {
+  xmlns: "urn:oasis:names:specification:ubl:schema:xsd:Invoice-2",
+  "xmlns:cac":
+    "urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2",
+  "xmlns:cbc":
+    "urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2",
+};
+
+/**
+ * @param {string} name
+ * @param {number} amount in cents
+ * @param {string} currency
+ */
+function amountElement(name, amount, currency) {
+  return textElement(name, (amount / 100).toFixed(2), { currencyID: currency });
+}
+
+/**
+ * A date as YYYY-MM-DD
+ *
+ * @param {string} name
+ * @param {Date} date
+ */
+function dateElement(name, date) {
+  return textElement(
+    name,
+    Intl.DateTimeFormat("fr-CA", {
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    }).format(date)
+  );
+}
+
+/**
+ * @param {string} name
+ * @param {string} category
+ * @param {number} rate in percent
+ * @param {string | null} [exemptionReason]
+ */
+function taxCategory(name, category, rate, exemptionReason) {
+  return element(
+    name,
+    {},
+    textElement("cbc:ID", category),
+    textElement("cbc:Percent", rate.toFixed(2)),
+    textElement("cbc:TaxExemptionReason", exemptionReason),
+    element("cac:TaxScheme", {}, textElement("cbc:ID", "VAT"))
+  );
+}
+
+/**
+ * @param {import("../e-invoice.js").EInvoiceParty} party
+ * @param {string} name
+ */
+function party(party, name) {
+  const { address, contact } = party;
+
+  return element(
+    name,
+    {},
+    element(
+      "cac:Party",
+      {},
+      textElement("cbc:EndpointID", party.email, { schemeID: "EM" }),
+      element(
+        "cac:PostalAddress",
+        {},
+        textElement("cbc:StreetName", address.line1),
+        textElement("cbc:AdditionalStreetName", address.line2),
+        textElement("cbc:CityName", address.city),
+        textElement("cbc:PostalZone", address.postalCode),
+        address.countryCode &&
+          element(
+            "cac:Country",
+            {},
+            textElement("cbc:IdentificationCode", address.countryCode)
+          )
+      ),
+      party.vatId &&
+        element(
+          "cac:PartyTaxScheme",
+          {},
+          textElement("cbc:CompanyID", party.vatId),
+          element("cac:TaxScheme", {}, textElement("cbc:ID", "VAT"))
+        ),
+      party.taxId &&
+        element(
+          "cac:PartyTaxScheme",
+          {},
+          textElement("cbc:CompanyID", party.taxId),
+          element("cac:TaxScheme", {}, textElement("cbc:ID", "FC"))
+        ),
+      element(
+        "cac:PartyLegalEntity",
+        {},
+        textElement("cbc:RegistrationName", party.name)
+      ),
+      contact &&
+        element(
+          "cac:Contact",
+          {},
+          textElement("cbc:Name", contact.name),
+          textElement("cbc:Telephone", contact.phone),
+          textElement("cbc:ElectronicMail", contact.email)
+        )
+    )
+  );
+}
+
+/**
+ * @param {import("../e-invoice.js").EInvoiceLine} line
+ * @param {string} currency
+ */
+function invoiceLine(line, currency) {
+  return element(
+    "cac:InvoiceLine",
+    {},
+    textElement("cbc:ID", line.id),
+    textElement("cbc:InvoicedQuantity", line.quantity, { unitCode: "C62" }),
+    amountElement("cbc:LineExtensionAmount", line.net, currency),
+    line.period &&
+      element(
+        "cac:InvoicePeriod",
+        {},
+        dateElement("cbc:StartDate", line.period.start),
+        dateElement("cbc:EndDate", line.period.end)
+      ),
+    element(
+      "cac:Item",
+      {},
+      textElement("cbc:Name", line.name),
+      taxCategory("cac:ClassifiedTaxCategory", line.category, line.rate)
+    ),
+    element(
+      "cac:Price",
+      {},
+      amountElement("cbc:PriceAmount", line.net / line.quantity, currency)
+    )
+  );
+}
+
+/**
+ * Writes an electronic invoice as an XRechnung in the UBL 2.1 syntax
+ *
+ * @param {import("../e-invoice.js").EInvoice} invoice
+ * @returns {string}
+ */
+export default function universalBusinessLanguage(invoice) {
+  const { currency, totals, paymentMeans } = invoice;
+
+  return serializeXml(
+    element(
+      "Invoice",
+      namespaces,
+      textElement("cbc:CustomizationID", XRECHNUNG_SPECIFICATION),
+      textElement("cbc:ProfileID", XRECHNUNG_BUSINESS_PROCESS),
+      textElement("cbc:ID", invoice.number),
+      dateElement("cbc:IssueDate", invoice.issueDate),
+      textElement("cbc:InvoiceTypeCode", invoice.typeCode),
+      invoice.notes.map((note) => textElement("cbc:Note", note)),
+      textElement("cbc:DocumentCurrencyCode", currency),
+      textElement("cbc:BuyerReference", invoice.buyerReference),
+      party(invoice.seller, "cac:AccountingSupplierParty"),
+      party(invoice.buyer, "cac:AccountingCustomerParty"),
+      element(
+        "cac:Delivery",
+        {},
+        dateElement("cbc:ActualDeliveryDate", invoice.deliveryDate)
+      ),
+      element(
+        "cac:PaymentMeans",
+        {},
+        textElement("cbc:PaymentMeansCode", paymentMeans.typeCode, {
+          name: paymentMeans.information,
+        }),
+        textElement("cbc:PaymentID", invoice.paymentReference),
+        paymentMeans.cardNumber &&
+          element(
+            "cac:CardAccount",
+            {},
+            textElement("cbc:PrimaryAccountNumberID", paymentMeans.cardNumber),
+            textElement("cbc:NetworkID", paymentMeans.cardNetwork ?? "card")
+          )
+      ),
+      element(
+        "cac:TaxTotal",
+        {},
+        amountElement("cbc:TaxAmount", totals.tax, currency),
+        invoice.taxes.map((tax) =>
+          element(
+            "cac:TaxSubtotal",
+            {},
+            amountElement("cbc:TaxableAmount", tax.basis, currency),
+            amountElement("cbc:TaxAmount", tax.tax, currency),
+            taxCategory(
+              "cac:TaxCategory",
+              tax.category,
+              tax.rate,
+              tax.exemptionReason
+            )
+          )
+        )
+      ),
+      element(
+        "cac:LegalMonetaryTotal",
+        {},
+        amountElement("cbc:LineExtensionAmount", totals.lines, currency),
+        amountElement("cbc:TaxExclusiveAmount", totals.taxBasis, currency),
+        amountElement("cbc:TaxInclusiveAmount", totals.grand, currency),
+        amountElement("cbc:PrepaidAmount", totals.prepaid, currency),
+        amountElement("cbc:PayableAmount", totals.due, currency)
+      ),
+      invoice.lines.map((line) => invoiceLine(line, currency))
+    )
+  );
+}
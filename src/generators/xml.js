@@ -0,0 +1,112 @@
+/**
+ * @typedef XmlElement
+ * @property {string} name
+ * @property {Record<string, string>} attributes
+ * @property {(XmlElement | string)[]} children
+ */
+
+/**
+ * Escapes text for use in XML content or attribute values
+ *
+ * @param {string | number} value
+ * @returns {string}
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+/**
+ * An XML element, children that are null, undefined, false or empty strings
+ * are left out, so optional elements can be written inline
+ *
+ * @param {string} name
+ * @param {Record<string, string | number | null | undefined>} attributes
+ * @param {...(XmlElement | string | number | null | undefined | false | (XmlElement | null | undefined | false)[])} children
+ * @returns {XmlElement}
+ */
+export function element(name, attributes, ...children) {
+  return {
+    name,
+    attributes: Object.fromEntries(
+      Object.entries(attributes ?? {}).filter(
+        ([, value]) => value !== null && value !== undefined
+      )
+    ),
+    children: children
+      .flat()
+      .filter(
+        (child) =>
+          child !== null &&
+          child !== undefined &&
+          child !== false &&
+          child !== ""
+      )
+      .map((child) => (typeof child === "number" ? String(child) : child)),
+  };
+}
+
+/**
+ * An element with text content, or null when there is no text, so that
+ * optional elements are left out
+ *
+ * @param {string} name
+ * @param {string | number | null | undefined} value
+ * @param {Record<string, string | number | null | undefined>} [attributes]
+ * @returns {XmlElement | null}
+ */
+export function textElement(name, value, attributes) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+
+  return element(name, attributes, String(value));
+}
+
+/**
+ * @param {XmlElement} node
+ * @param {string} indent
+ * @returns {string}
+ */
+function serializeElement(node, indent) {
+  const attributes = Object.entries(node.attributes)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join("");
+
+  if (node.children.length === 0) {
+    return `${indent}<${node.name}${attributes}/>`;
+  }
+
+  if (node.children.every((child) => typeof child === "string")) {
+    return `${indent}<${node.name}${attributes}>${node.children
+      .map(escapeXml)
+      .join("")}</${node.name}>`;
+  }
+
+  return [
+    `${indent}<${node.name}${attributes}>`,
+    ...node.children.map((child) =>
+      typeof child === "string"
+        ? `${indent}  ${escapeXml(child)}`
+        : serializeElement(child, `${indent}  `)
+    ),
+    `${indent}</${node.name}>`,
+  ].join("\n");
+}
+
+/**
+ * Serializes an XML document, with an XML declaration
+ *
+ * @param {XmlElement} root
+ * @returns {string}
+ */
+export function serializeXml(root) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${serializeElement(
+    root,
+    ""
+  )}\n`;
+}
@@ -0,0 +1,135 @@
+import { getCountryData } from "countries-list";
+
+import { getCountryIsoCode } from "./utils.js";
+import en from "./locales/en.js";
+import de from "./locales/de.js";
+
+/**
+ * The languages documents can be generated in, with the locale used to format
+ * their dates and amounts
+ */
+export const LANGUAGES = {
+  en: { locale: "en-GB", catalogue: en },
+  de: { locale: "de-DE", catalogue: de },
+};
+
+/**
+ * @typedef Localization
+ * @property {string} language
+ * @property {string} locale BCP 47 language tag for formatting
+ * @property {(key: string, values?: Record<string, any>) => string} t
+ * @property {(date: Date | number, longDate?: boolean) => string} formatDate
+ * @property {(amount: number, currency: string) => string} formatPrice
+ * @property {(rate: number) => string} formatPercent
+ */
+
+/**
+ * Replaces the values in braces in a template, e.g., {number}, values that
+ * aren't given are left as they are
+ *
+ * @param {string} template
+ * @param {Record<string, any>} [values]
+ * @returns {string}
+ */
+export function formatTemplate(template, values = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    values[name] !== undefined && values[name] !== null
+      ? String(values[name])
+      : match
+  );
+}
+
+/**
+ * @param {string} language one of LANGUAGES
+ * @param {string} [locale] overrides the locale of the language
+ * @returns {Localization}
+ */
+export function getLocalization(language, locale) {
+  const { catalogue, locale: defaultLocale } =
+    LANGUAGES[language] ?? LANGUAGES.en;
+  const _locale = locale || defaultLocale;
+
+  return {
+    language: LANGUAGES[language] ? language : "en",
+    locale: _locale,
+
+    t(key, values = {}) {
+      // Fall back to English for strings that haven't been translated yet:
+      return formatTemplate(catalogue[key] ?? en[key] ?? key, values);
+    },
+
+    formatDate(date, longDate) {
+      return Intl.DateTimeFormat(
+        _locale,
+        longDate
+          ? { dateStyle: "long" }
+          : { year: "numeric", month: "2-digit", day: "2-digit" }
+      ).format(date);
+    },
+
+    formatPrice(amount, currency) {
+      return Intl.NumberFormat(_locale, {
+        style: "currency",
+        currency: currency.toUpperCase(),
+      }).format(amount / 100);
+    },
+
+    formatPercent(rate) {
+      return Intl.NumberFormat(_locale, {
+        style: "percent",
+        maximumFractionDigits: 2,
+      }).format(rate / 100);
+    },
+  };
+}
+
+/**
+ * The language of a country that documents can be generated in, if any
+ *
+ * @param {string | null | undefined} country the name or ISO code of a country
+ * @returns {string | null}
+ */
+export function getLanguageForCountry(country) {
+  const code = getCountryIsoCode(country);
+  if (!code) {
+    return null;
+  }
+
+  const languages = getCountryData(code)?.languages ?? [];
+  return languages.find((language) => !!LANGUAGES[language]) ?? null;
+}
+
+/**
+ * The localization for documents, in the configured language, or in the
+ * language of the customer's country if receipts.customerLanguage is set
+ *
+ * @param {import("./configuration.js").configuration} config
+ * @param {string | null} [country] of the customer
+ * @returns {Localization}
+ */
+export function getReceiptLocalization(config, country) {
+  const { language, dateFormat, customerLanguage } = config.receipts;
+
+  const customer = customerLanguage ? getLanguageForCountry(country) : null;
+  if (customer && customer !== language) {
+    return getLocalization(customer);
+  }
+
+  return getLocalization(language, dateFormat);
+}
+
+/**
+ * Picks the text for a language from text that is either the same in every
+ * language, or given per language, e.g., the statements of a tax law
+ *
+ * @param {string | Record<string, string>} text
+ * @param {string} language
+ * @returns {string}
+ */
+export function localize(text, language) {
+  if (typeof text === "string") {
+    return text;
+  }
+
+  return text[language] ?? text.en ?? Object.values(text)[0];
+}
@@ -0,0 +1,253 @@
+import { join as joinPath } from "node:path";
+import { readFile, rename, writeFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { mkdirp } from "fs-extra";
+
+const LEDGER_VERSION = 1;
+
+/**
+ * @typedef LedgerEntry
+ * @property {string} id the Stripe object ID the number was issued for
+ * @property {number} number
+ * @property {string} issued_at ISO timestamp of when the number was issued
+ */
+
+/**
+ * @typedef SentEntry
+ * @property {string} to the email address the document was sent to
+ * @property {string} sent_at ISO timestamp of when the document was sent
+ * @property {string | null} message_id as given by the SMTP server
+ */
+
+/**
+ * @typedef LedgerGap
+ * @property {string} kind
+ * @property {string} sequence
+ * @property {number[]} missing
+ */
+
+/**
+ * Formats a document number, e.g., KOFI-2026-09-0001
+ *
+ * @param {string} sequence
+ * @param {number} number
+ * @returns {string}
+ */
+export function formatDocumentNumber(sequence, number) {
+  return `${sequence}-${String(number).padStart(4, "0")}`;
+}
+
+/**
+ * A persistent record of the document numbers issued for each Stripe object,
+ * so that numbers are unique, sequential and never change once issued, even
+ * across runs or when transactions settle late.
+ *
+ * Numbers are grouped by kind of document (e.g., receipts or payouts) and then
+ * by sequence (e.g., KOFI-2026-09), each sequence starts at 1.
+ *
+ * The ledger also records which documents have been emailed, by number, so
+ * that nobody is sent the same document twice.
+ */
+export default class Ledger {
+  /**
+   * @param {string} file
+   * @param {Record<string, Record<string, LedgerEntry[]>>} documents
+   * @param {Record<string, SentEntry>} [sent]
+   */
+  constructor(file, documents, sent = {}) {
+    this.file = file;
+    this.documents = documents;
+    this.sent = sent;
+    this.changed = false;
+
+    /** @type {Map<string, LedgerEntry & { sequence: string }>} */
+    this.index = new Map();
+    for (const [kind, sequences] of Object.entries(documents)) {
+      for (const [sequence, entries] of Object.entries(sequences)) {
+        for (const entry of entries) {
+          this.index.set(`${kind}:${entry.id}`, { ...entry, sequence });
+        }
+      }
+    }
+  }
+
+  /**
+   * Loads the ledger from the output directory, creating it if necessary
+   *
+   * @param {string} directory
+   * @returns {Promise<Ledger>}
+   */
+  static async load(directory) {
+    await mkdirp(directory);
+
+    const file = joinPath(directory, "ledger.json");
+    if (!existsSync(file)) {
+      return new Ledger(file, {});
+    }
+
+    const data = JSON.parse(await readFile(file, "utf8"));
+    if (data.version !== LEDGER_VERSION) {
+      throw new Error(
+        `Unsupported ledger version ${data.version} in ${file}, expected ${LEDGER_VERSION}`
+      );
+    }
+
+    return new Ledger(file, data.documents ?? {}, data.sent ?? {});
+  }
+
+  /**
+   * Returns the number already issued for the given Stripe object, if any
+   *
+   * @param {string} kind
+   * @param {string} id
+   * @returns {(LedgerEntry & { sequence: string }) | undefined}
+   */
+  lookup(kind, id) {
+    return this.index.get(`${kind}:${id}`);
+  }
+
+  /**
+   * Returns the formatted document number already issued for the given Stripe
+   * object, if any
+   *
+   * @param {string} kind
+   * @param {string} id
+   * @returns {string | undefined}
+   */
+  getNumber(kind, id) {
+    const entry = this.lookup(kind, id);
+    return entry
+      ? formatDocumentNumber(entry.sequence, entry.number)
+      : undefined;
+  }
+
+  /**
+   * Returns the document number for the given Stripe object, issuing the next
+   * number in the sequence if it doesn't yet have one.
+   *
+   * @param {string} kind
+   * @param {string} sequence
+   * @param {string} id
+   * @returns {string}
+   */
+  assign(kind, sequence, id) {
+    const existing = this.getNumber(kind, id);
+    if (existing) {
+      return existing;
+    }
+
+    this.documents[kind] ??= {};
+    this.documents[kind][sequence] ??= [];
+
+    const entries = this.documents[kind][sequence];
+    const number =
+      entries.reduce((max, entry) => Math.max(max, entry.number), 0) + 1;
+
+    const entry = { id, number, issued_at: new Date().toISOString() };
+    entries.push(entry);
+    this.index.set(`${kind}:${id}`, { ...entry, sequence });
+    this.changed = true;
+
+    return formatDocumentNumber(sequence, number);
+  }
+
+  /**
+   * Returns when and to whom a document was emailed, if it has been
+   *
+   * @param {string} number the formatted document number
+   * @returns {SentEntry | undefined}
+   */
+  getSent(number) {
+    return this.sent[number];
+  }
+
+  /**
+   * Records that a document was emailed
+   *
+   * @param {string} number the formatted document number
+   * @param {string} to
+   * @param {string | null} messageId
+   */
+  markSent(number, to, messageId) {
+    this.sent[number] = {
+      to,
+      sent_at: new Date().toISOString(),
+      message_id: messageId,
+    };
+    this.changed = true;
+  }
+
+  /**
+   * Finds numbers missing from each sequence, which can only happen if the
+   * ledger file has been edited or lost entries
+   *
+   * @param {string} [kind]
+   * @returns {LedgerGap[]}
+   */
+  getGaps(kind) {
+    const kinds = kind ? [kind] : Object.keys(this.documents);
+
+    const gaps = [];
+    for (const kind of kinds) {
+      for (const [sequence, entries] of Object.entries(
+        this.documents[kind] ?? {}
+      )) {
+        const numbers = new Set(entries.map((entry) => entry.number));
+        const missing = [];
+        for (let i = 1; i < Math.max(...numbers); i++) {
+          if (!numbers.has(i)) {
+            missing.push(i);
+          }
+        }
+
+        if (missing.length > 0) {
+          gaps.push({ kind, sequence, missing });
+        }
+      }
+    }
+
+    return gaps;
+  }
+
+  /**
+   * Logs any gaps in the sequences to the console
+   *
+   * @param {string} [kind]
+   */
+  reportGaps(kind) {
+    this.getGaps(kind).forEach((gap) => {
+      console.warn(
+        `Warning: ${gap.kind} sequence ${gap.sequence} is missing ${gap.missing
+          .map((number) => formatDocumentNumber(gap.sequence, number))
+          .join(", ")}`
+      );
+    });
+  }
+
+  /**
+   * Writes the ledger back to disk if any numbers were issued or documents
+   * were sent
+   *
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.changed) {
+      return;
+    }
+
+    // Write to a temporary file first, so that the ledger is never left
+    // partially written:
+    const tmpFile = `${this.file}.tmp`;
+    await writeFile(
+      tmpFile,
+      JSON.stringify(
+        { version: LEDGER_VERSION, documents: this.documents, sent: this.sent },
+        null,
+        2
+      )
+    );
+    await rename(tmpFile, this.file);
+
+    this.changed = false;
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * German translations of the strings on receipts, credit notes, payout
+ * receipts, period summaries and receipt emails, see en.js
+ */
+export default {
+  // Invoice generator:
+  "invoice.label": "{label}:",
+  "invoice.title": "Rechnung",
+  "invoice.number": "Rechnungsnummer",
+  "invoice.billTo": "Rechnungsempfänger",
+  "invoice.billFrom": "Rechnungssteller",
+  "invoice.description": "Beschreibung",
+  "invoice.quantity": "Menge",
+  "invoice.subtotal": "Zwischensumme",
+  "invoice.total": "Gesamt",
+  "invoice.page": "Seite {page} von {pages}",
+
+  // Receipts:
+  "receipt.title": "Quittung",
+  "receipt.number": "Belegnummer",
+  "receipt.chargeId": "Zahlungs-ID",
+  "receipt.chargeDate": "Zahlungsdatum",
+  "receipt.paymentId": "Zahlungs-ID",
+  "receipt.paymentDate": "Zahlungsdatum",
+  "receipt.description": "Beschreibung",
+  "receipt.quantity": "Menge",
+  "receipt.amount": "Betrag",
+  "receipt.vatRate": "USt.-Satz",
+  "receipt.netAmount": "Nettobetrag",
+  "receipt.period": "{start} bis {end}",
+  "receipt.taxIdentifier": "Steuernummer",
+  "receipt.vatId": "USt-IdNr.",
+  "receipt.customer": "Kunde",
+  "receipt.emailAddress": "E-Mail-Adresse",
+  "receipt.subtotal": "Zwischensumme",
+  "receipt.vat": "USt.",
+  "receipt.netAt": "Netto zu {rate}",
+  "receipt.vatAt": "USt. {rate}",
+  "receipt.vatReverseCharge": "USt. (Reverse Charge)",
+  "receipt.totalAt": "Gesamt zu {rate}",
+  "receipt.totalPaid": "Bezahlt",
+  "receipt.invoiceReference": "Rechnungsreferenz: {id}",
+  "receipt.invoiceCopy":
+    "Eine Kopie der Rechnung erhalten Sie per E-Mail an: {email}",
+
+  // Credit notes:
+  "creditNote.title": "Gutschrift",
+  "creditNote.number": "Gutschriftsnummer",
+  "creditNote.originalReceipt": "Ursprünglicher Beleg",
+  "creditNote.refundDate": "Erstattungsdatum",
+  "creditNote.refundOf": "Erstattung zu Beleg {receiptNumber}",
+  "creditNote.originalTotal": "Ursprünglicher Betrag",
+  "creditNote.netRefunded": "Netto erstattet",
+  "creditNote.vatRefunded": "USt. erstattet",
+  "creditNote.totalRefunded": "Erstattet",
+  "creditNote.cancelsInFull":
+    "Diese Gutschrift storniert den Beleg {receiptNumber} vollständig.",
+  "creditNote.cancelsInPart":
+    "Diese Gutschrift storniert den Beleg {receiptNumber} teilweise.",
+
+  // Receipt emails:
+  "email.receiptSubject": "Ihre Quittung {receiptNumber} von {business}",
+  "email.receiptBody":
+    "Hallo {name},\n\nvielen Dank für Ihre Zahlung über {amount} am {date}. Anbei erhalten Sie Ihre Quittung {receiptNumber}.\n\nViele Grüße\n{business}",
+
+  // Payout receipts:
+  "payout.title": "Auszahlung",
+  "payout.number": "Auszahlungsnummer",
+  "payout.id": "Auszahlungs-ID",
+  "payout.date": "Auszahlungsdatum",
+  "payout.total": "Auszahlung",
+  "payout.charges": "Zahlungen",
+  "payout.payments": "Überweisungen",
+  "payout.fees": "Gebühren",
+  "payout.billingFees": "Stripe Billing Gebühren",
+  "payout.refunds": "Erstattungen",
+  "payout.disputes": "Rückbuchungen",
+  "payout.adjustments": "Korrekturen",
+  "payout.applicationFeeRefunds": "Erstattete Plattformgebühren",
+  "payout.transfers": "Transfers",
+  "payout.payoutReversals": "Stornierte Auszahlungen",
+  "payout.reserves": "Reserven",
+  "payout.refund": "Erstattung: {id}",
+  "payout.subscription": "Abonnement: {customer}, {number}",
+  "payout.charge": "Zahlung: {customer}",
+  "payout.payment": "Überweisung: {payer}",
+  "payout.chargeback": "Rückbuchung ({outcome}): {id}",
+  "payout.chargebackReversal": "Rückbuchung aufgehoben ({outcome}): {id}",
+  "payout.outcome.won": "gewonnen",
+  "payout.outcome.lost": "verloren",
+  "payout.outcome.open": "offen",
+
+  // Period summaries:
+  "summary.title": "Zeitraumübersicht",
+  "summary.account": "Konto",
+  "summary.period": "Zeitraum",
+  "summary.generated": "Erstellt",
+  "summary.count": "Anzahl",
+  "summary.charges": "Zahlungen",
+  "summary.payments": "Überweisungen",
+  "summary.refunds": "Erstattungen",
+  "summary.disputes": "Rückbuchungen",
+  "summary.payouts": "Auszahlungen",
+  "summary.stripeFees": "Stripe-Gebühren",
+  "summary.applicationFees": "Plattformgebühren",
+  "summary.passthroughFees": "Durchgereichte Gebühren",
+  "summary.taxOnFees": "Steuer auf Gebühren",
+  "summary.fees": "Gebühren",
+  "summary.net": "Netto",
+  "summary.disputeFees": "Rückbuchungsgebühren",
+  "summary.payoutFees": "Auszahlungsgebühren",
+  "summary.currencyConversionFees": "Währungsumrechnungsgebühren",
+  "summary.adjustments": "Korrekturen",
+  "summary.applicationFeeRefunds": "Erstattete Plattformgebühren",
+  "summary.transfers": "Transfers",
+  "summary.payoutReversals": "Stornierte Auszahlungen",
+  "summary.reserves": "Reserven",
+  "summary.byPaymentMethod": "Nach Zahlungsmethode",
+  "summary.byCustomerCountry": "Nach Land des Kunden",
+  "summary.unknown": "Unbekannt",
+  "summary.paymentMethod.card": "Karte",
+  "summary.paymentMethod.link": "Link",
+  "summary.paymentMethod.paypal": "PayPal",
+  "summary.paymentMethod.sepa_debit": "SEPA-Lastschrift",
+  "summary.notIncludedPending":
+    "Nicht enthalten: {pending} ausstehende und {unavailable} noch nicht verfügbare Transaktionen.",
+  "summary.notIncludedUnknown":
+    "Nicht enthalten: {count} Transaktionen unbekannter Art.",
+  "summary.revenueAfterRefundsAndDisputes":
+    "Umsatz nach Erstattungen und Rückbuchungen",
+  "summary.totalFees": "Gebühren gesamt",
+  "summary.paidOut": "Ausgezahlt",
+};
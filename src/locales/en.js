@@ -0,0 +1,133 @@
+/**
+ * English translations of the strings on receipts, credit notes, payout
+ * receipts, period summaries and receipt emails, values in braces are replaced, e.g., {number}
+ */
+export default {
+  // Invoice generator:
+  "invoice.label": "{label}:",
+  "invoice.title": "Invoice",
+  "invoice.number": "Invoice Number",
+  "invoice.billTo": "Bill To",
+  "invoice.billFrom": "Bill From",
+  "invoice.description": "Description",
+  "invoice.quantity": "Quantity",
+  "invoice.subtotal": "Subtotal",
+  "invoice.total": "Total",
+  "invoice.page": "Page {page} of {pages}",
+
+  // Receipts:
+  "receipt.title": "Receipt",
+  "receipt.number": "Receipt Number",
+  "receipt.chargeId": "Charge ID",
+  "receipt.chargeDate": "Charge Date",
+  "receipt.paymentId": "Payment ID",
+  "receipt.paymentDate": "Payment Date",
+  "receipt.description": "Description",
+  "receipt.quantity": "Quantity",
+  "receipt.amount": "Amount",
+  "receipt.vatRate": "VAT Rate",
+  "receipt.netAmount": "Net Amount",
+  "receipt.period": "{start} until {end}",
+  "receipt.taxIdentifier": "Tax Identifier",
+  "receipt.vatId": "VAT ID",
+  "receipt.customer": "Customer",
+  "receipt.emailAddress": "Email Address",
+  "receipt.subtotal": "Subtotal",
+  "receipt.vat": "VAT",
+  "receipt.netAt": "Net at {rate}",
+  "receipt.vatAt": "VAT at {rate}",
+  "receipt.vatReverseCharge": "VAT (reverse charge)",
+  "receipt.totalAt": "Total at {rate}",
+  "receipt.totalPaid": "Total Paid",
+  "receipt.invoiceReference": "Invoice Reference: {id}",
+  "receipt.invoiceCopy":
+    "To request a copy of the invoice, please email: {email}",
+
+  // Credit notes:
+  "creditNote.title": "Credit Note",
+  "creditNote.number": "Credit Note Number",
+  "creditNote.originalReceipt": "Original Receipt",
+  "creditNote.refundDate": "Refund Date",
+  "creditNote.refundOf": "Refund of receipt {receiptNumber}",
+  "creditNote.originalTotal": "Original Total",
+  "creditNote.netRefunded": "Net Refunded",
+  "creditNote.vatRefunded": "VAT Refunded",
+  "creditNote.totalRefunded": "Total Refunded",
+  "creditNote.cancelsInFull":
+    "This credit note cancels receipt {receiptNumber} in full.",
+  "creditNote.cancelsInPart":
+    "This credit note cancels receipt {receiptNumber} in part.",
+
+  // Receipt emails:
+  "email.receiptSubject": "Your receipt {receiptNumber} from {business}",
+  "email.receiptBody":
+    "Hello {name},\n\nthank you for your payment of {amount} on {date}. Your receipt {receiptNumber} is attached.\n\nBest regards,\n{business}",
+
+  // Payout receipts:
+  "payout.title": "Payout",
+  "payout.number": "Payout Number",
+  "payout.id": "Payout ID",
+  "payout.date": "Payout Date",
+  "payout.total": "Payout",
+  "payout.charges": "Charge",
+  "payout.payments": "Payment",
+  "payout.fees": "Fees",
+  "payout.billingFees": "Stripe Billing Fees",
+  "payout.refunds": "Refunds",
+  "payout.disputes": "Disputes",
+  "payout.adjustments": "Adjustments",
+  "payout.applicationFeeRefunds": "Application Fee Refunds",
+  "payout.transfers": "Transfers",
+  "payout.payoutReversals": "Payout Reversals",
+  "payout.reserves": "Reserves",
+  "payout.refund": "Refund: {id}",
+  "payout.subscription": "Subscription: {customer}, {number}",
+  "payout.charge": "Charge: {customer}",
+  "payout.payment": "Payment: {payer}",
+  "payout.chargeback": "Chargeback ({outcome}): {id}",
+  "payout.chargebackReversal": "Chargeback reversal ({outcome}): {id}",
+  "payout.outcome.won": "won",
+  "payout.outcome.lost": "lost",
+  "payout.outcome.open": "open",
+
+  // Period summaries:
+  "summary.title": "Period Summary",
+  "summary.account": "Account",
+  "summary.period": "Period",
+  "summary.generated": "Generated",
+  "summary.count": "Count",
+  "summary.charges": "Charges",
+  "summary.payments": "Payments",
+  "summary.refunds": "Refunds",
+  "summary.disputes": "Disputes",
+  "summary.payouts": "Payouts",
+  "summary.stripeFees": "Stripe fees",
+  "summary.applicationFees": "Application fees",
+  "summary.passthroughFees": "Passthrough fees",
+  "summary.taxOnFees": "Tax on fees",
+  "summary.fees": "Fees",
+  "summary.net": "Net",
+  "summary.disputeFees": "Dispute fees",
+  "summary.payoutFees": "Payout fees",
+  "summary.currencyConversionFees": "Currency conversion fees",
+  "summary.adjustments": "Adjustments",
+  "summary.applicationFeeRefunds": "Application fee refunds",
+  "summary.transfers": "Transfers",
+  "summary.payoutReversals": "Payout reversals",
+  "summary.reserves": "Reserves",
+  "summary.byPaymentMethod": "By payment method",
+  "summary.byCustomerCountry": "By customer country",
+  "summary.unknown": "Unknown",
+  "summary.paymentMethod.card": "Card",
+  "summary.paymentMethod.link": "Link",
+  "summary.paymentMethod.paypal": "PayPal",
+  "summary.paymentMethod.sepa_debit": "SEPA Direct Debit",
+  "summary.notIncludedPending":
+    "Not included: {pending} pending and {unavailable} unavailable transactions.",
+  "summary.notIncludedUnknown":
+    "Not included: {count} transactions of unknown types.",
+  "summary.revenueAfterRefundsAndDisputes":
+    "Revenue after Refunds and Disputes",
+  "summary.totalFees": "Total Fees",
+  "summary.paidOut": "Paid Out",
+};
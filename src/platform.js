@@ -0,0 +1,155 @@
+import { getCountryData } from "countries-list";
+
+/**
+ * The secret key of a Connect platform, used for each of its connected
+ * accounts, if there is one
+ *
+ * @returns {string | undefined}
+ */
+export function getPlatformToken() {
+  return process.env.STRIPE_PLATFORM_TOKEN || undefined;
+}
+
+/**
+ * The connected accounts configured in platform.accounts, by name
+ *
+ * @param {import("./configuration.js").configuration} config
+ * @returns {Map<string, string>} the account ID of each account name
+ */
+export function getConfiguredAccounts(config) {
+  return new Map(
+    Object.entries(config.platform.accounts).map(([name, id]) => [
+      name.toLowerCase(),
+      String(id),
+    ])
+  );
+}
+
+/**
+ * The connected accounts to use with the platform key, those configured, or
+ * otherwise every connected account of the platform, named by its ID
+ *
+ * @param {import("stripe").Stripe} stripe a client for the platform
+ * @param {import("./configuration.js").configuration} config
+ * @returns {Promise<Map<string, string>>} the account ID of each account name
+ */
+export async function getConnectedAccounts(stripe, config) {
+  const accounts = getConfiguredAccounts(config);
+  if (accounts.size > 0) {
+    return accounts;
+  }
+
+  for await (const account of stripe.accounts.list()) {
+    accounts.set(account.id.toLowerCase(), account.id);
+  }
+
+  return accounts;
+}
+
+/**
+ * The ID of the connected account a client makes its requests for, if any
+ *
+ * @param {import("stripe").Stripe} stripe
+ * @returns {string | null}
+ */
+export function getConnectedAccountId(stripe) {
+  // @ts-ignore set with the stripeAccount option, see getStripeClient
+  return stripe.getApiField("stripeAccount") ?? null;
+}
+
+/**
+ * The business details of a connected account, as shown on its receipts
+ *
+ * @param {import("stripe").Stripe.Account} account
+ * @returns {Partial<import("./configuration.js").configuration["business"]>}
+ */
+function getAccountBusinessDetails(account) {
+  const profile = account.business_profile;
+  const address =
+    profile?.support_address ??
+    account.company?.address ??
+    account.individual?.address;
+  const country = address?.country ?? account.country;
+
+  return {
+    name:
+      profile?.name ??
+      account.settings?.dashboard?.display_name ??
+      account.company?.name,
+    email: profile?.support_email ?? account.email,
+    website: profile?.url,
+    phone: profile?.support_phone ?? account.company?.phone,
+    address_line_1: address?.line1,
+    address_line_2: address?.line2,
+    postal_code: address?.postal_code,
+    city: address?.city,
+    state: address?.state,
+    country: country ? getCountryData(country)?.name ?? country : undefined,
+  };
+}
+
+/**
+ * The business details configured for a connected account in
+ * platform.business, by the account name
+ *
+ * @param {string} accountName
+ * @param {import("./configuration.js").configuration} config
+ * @returns {Partial<import("./configuration.js").configuration["business"]>}
+ */
+function getConfiguredBusinessDetails(accountName, config) {
+  const [, details = {}] =
+    Object.entries(config.platform.business).find(
+      ([name]) => name.toLowerCase() === accountName
+    ) ?? [];
+
+  const unknown = Object.keys(details).filter(
+    (key) => !(key in config.business)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown business details in platform.business.${accountName}: ${unknown.join(
+        ", "
+      )}`
+    );
+  }
+
+  return details;
+}
+
+/**
+ * The configuration for a connected account, with its business details taken
+ * from the account in Stripe, and those configured for it in platform.business
+ * taking precedence. The [business] section is the platform's own, so it
+ * doesn't apply to connected accounts.
+ *
+ * @param {import("stripe").Stripe} stripe a client for the connected account
+ * @param {string} accountId
+ * @param {string} accountName
+ * @param {import("./configuration.js").configuration} config
+ * @returns {Promise<import("./configuration.js").configuration>}
+ */
+export async function getConnectedAccountConfig(
+  stripe,
+  accountId,
+  accountName,
+  config
+) {
+  const account = await stripe.accounts.retrieve(accountId);
+
+  const business = Object.fromEntries(
+    Object.keys(config.business).map((key) => [key, ""])
+  );
+  for (const details of [
+    getAccountBusinessDetails(account),
+    getConfiguredBusinessDetails(accountName, config),
+  ]) {
+    for (const [key, value] of Object.entries(details)) {
+      if (value) {
+        business[key] = String(value);
+      }
+    }
+  }
+
+  // @ts-ignore all the business details are strings
+  return { ...config, business };
+}
@@ -0,0 +1,143 @@
+import { formatAmount } from "./csv.js";
+
+/**
+ * What an action did for an account, combined across accounts when running
+ * with --all-accounts
+ *
+ * @typedef ActionReport
+ * @property {number} documents the documents created, sent or downloaded
+ * @property {ReportTotals | null} totals the revenue of the period, for the
+ *   actions that fetch its balance transactions
+ */
+
+/**
+ * @typedef ReportTotals
+ * @property {string} currency
+ * @property {number} gross revenue from charges and payments
+ * @property {number} fees all fees, as shown on the period summary
+ * @property {number} net the gross revenue after refunds and disputes, less
+ *   the fees
+ */
+
+/**
+ * The report of an action that fetched the balance transactions of the period
+ *
+ * @param {number} documents
+ * @param {import("./stripe.js").BalanceTransactionResults} balanceTransactions
+ * @returns {ActionReport}
+ */
+export function getActionReport(documents, { results, totals }) {
+  const currency =
+    results.charges[0]?.currency ??
+    results.payments[0]?.currency ??
+    results.payouts[0]?.currency ??
+    "eur";
+
+  const gross = totals.charge_gross + totals.payment_gross;
+  // Refunds and chargebacks are negative, reinstated chargebacks positive:
+  const refunds = results.refunds.reduce(
+    (total, refund) => total + refund.amount,
+    0
+  );
+  const fees =
+    totals.charge_fees +
+    totals.payment_fees +
+    totals.stripe_fees +
+    totals.stripe_fx_fees +
+    totals.dispute_fees;
+
+  return {
+    documents,
+    totals: {
+      currency,
+      gross,
+      fees,
+      net: gross + refunds + totals.disputes - fees,
+    },
+  };
+}
+
+/**
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {string}
+ */
+function formatTotal(amount, currency) {
+  return `${formatAmount(amount, ".")} ${currency.toUpperCase()}`;
+}
+
+/**
+ * The lines of a table of the reports of each account, followed by their
+ * totals, by currency as accounts can have different currencies
+ *
+ * @param {{ accountName: string, report: ActionReport | null }[]} rows the
+ *   reports of the accounts that succeeded
+ * @returns {string[]}
+ */
+export function formatReportTable(rows) {
+  const nameWidth = Math.max(
+    16,
+    ...rows.map(({ accountName }) => accountName.length + 2)
+  );
+  const columns = [nameWidth, 10, 16, 16, 16];
+  const line = (values) =>
+    values
+      .map((value, index) =>
+        index === 0
+          ? value.padEnd(columns[index], " ")
+          : value.padStart(columns[index], " ")
+      )
+      .join("")
+      .trimEnd();
+
+  const totalsByCurrency = new Map();
+  let documents = 0;
+
+  const lines = [line(["Account", "Documents", "Gross", "Fees", "Net"])];
+  rows.forEach(({ accountName, report }) => {
+    documents += report?.documents ?? 0;
+
+    const totals = report?.totals;
+    if (totals) {
+      const sum = totalsByCurrency.get(totals.currency) ?? {
+        gross: 0,
+        fees: 0,
+        net: 0,
+      };
+      sum.gross += totals.gross;
+      sum.fees += totals.fees;
+      sum.net += totals.net;
+      totalsByCurrency.set(totals.currency, sum);
+    }
+
+    lines.push(
+      line([
+        accountName,
+        String(report?.documents ?? 0),
+        totals ? formatTotal(totals.gross, totals.currency) : "-",
+        totals ? formatTotal(totals.fees * -1, totals.currency) : "-",
+        totals ? formatTotal(totals.net, totals.currency) : "-",
+      ])
+    );
+  });
+
+  if (totalsByCurrency.size === 0) {
+    lines.push(line(["Total", String(documents)]));
+  }
+
+  Array.from(totalsByCurrency.entries()).forEach(
+    ([currency, { gross, fees, net }], index) => {
+      lines.push(
+        line([
+          "Total",
+          index === 0 ? String(documents) : "",
+          formatTotal(gross, currency),
+          formatTotal(fees * -1, currency),
+          formatTotal(net, currency),
+        ])
+      );
+    }
+  );
+
+  return lines;
+}
@@ -0,0 +1,15 @@
+import op from "@1password/op-js";
+
+/**
+ * Reads a secret from 1Password with the op CLI, e.g.,
+ * op://Private/Stripe Ko-fi/credential
+ *
+ * @type {import("../secrets.js").SecretProvider}
+ */
+export default {
+  scheme: "op",
+  name: "1Password",
+  async resolve(path) {
+    return op.read.parse(`op://${path}`);
+  },
+};
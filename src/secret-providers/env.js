@@ -0,0 +1,18 @@
+/**
+ * Reads a secret from another environment variable, e.g., env://STRIPE_KEY,
+ * such as one set by a CI system or a shell profile
+ *
+ * @type {import("../secrets.js").SecretProvider}
+ */
+export default {
+  scheme: "env",
+  name: "environment variable",
+  async resolve(path) {
+    const value = process.env[path];
+    if (!value) {
+      throw new Error(`The environment variable ${path} isn't set`);
+    }
+
+    return value;
+  },
+};
@@ -0,0 +1,202 @@
+import {
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+  scrypt,
+} from "node:crypto";
+import { readFile, rename, writeFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { resolve as resolvePath } from "node:path";
+import { promisify } from "node:util";
+import prompts from "prompts";
+
+const SECRETS_FILE_VERSION = 1;
+
+/**
+ * The cost of deriving the key from the passphrase, stored in each file so
+ * it can be raised for new files without breaking existing ones
+ */
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+/**
+ * @typedef SecretsFile
+ * @property {number} version
+ * @property {{ name: "scrypt", N: number, r: number, p: number, salt: string }} kdf
+ * @property {"aes-256-gcm"} cipher
+ * @property {string} iv
+ * @property {string} tag
+ * @property {string} data the encrypted secrets, as JSON keyed by name
+ */
+
+/**
+ * The passphrases entered so far, by file, so each file is only asked for once
+ * @type {Map<string, string>}
+ */
+const passphrases = new Map();
+
+/**
+ * @param {string} passphrase
+ * @param {Buffer} salt
+ * @param {{ N: number, r: number, p: number }} params
+ * @returns {Promise<Buffer>}
+ */
+async function deriveKey(passphrase, salt, { N, r, p }) {
+  // @ts-ignore promisify loses the overload with options
+  return promisify(scrypt)(passphrase, salt, 32, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r,
+  });
+}
+
+/**
+ * The passphrase of a secrets file, as configured in secrets.passphrase, or
+ * otherwise prompted for
+ *
+ * @param {string} file
+ * @param {import("../configuration.js").configuration} config
+ * @returns {Promise<string>}
+ */
+export async function getPassphrase(file, config) {
+  if (config.secrets.passphrase) {
+    return config.secrets.passphrase;
+  }
+
+  if (passphrases.has(file)) {
+    return passphrases.get(file);
+  }
+
+  if (!process.stdin.isTTY) {
+    throw new Error(
+      `The passphrase of ${file} is needed, set SECRETS_PASSPHRASE when not running interactively`
+    );
+  }
+
+  const { passphrase } = await prompts({
+    type: "password",
+    name: "passphrase",
+    message: `Passphrase for ${file}:`,
+  });
+
+  if (!passphrase) {
+    throw new Error(`No passphrase given for ${file}`);
+  }
+
+  passphrases.set(file, passphrase);
+  return passphrase;
+}
+
+/**
+ * Decrypts the secrets in a secrets file
+ *
+ * @param {string} file
+ * @param {string} passphrase
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function readSecretsFile(file, passphrase) {
+  /** @type {SecretsFile} */
+  const data = JSON.parse(await readFile(file, "utf8"));
+  if (data.version !== SECRETS_FILE_VERSION) {
+    throw new Error(
+      `Unsupported secrets file version ${data.version} in ${file}, expected ${SECRETS_FILE_VERSION}`
+    );
+  }
+
+  const key = await deriveKey(
+    passphrase,
+    Buffer.from(data.kdf.salt, "base64"),
+    data.kdf
+  );
+
+  try {
+    const decipher = createDecipheriv(
+      "aes-256-gcm",
+      key,
+      Buffer.from(data.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(data.tag, "base64"));
+
+    return JSON.parse(
+      Buffer.concat([
+        decipher.update(Buffer.from(data.data, "base64")),
+        decipher.final(),
+      ]).toString("utf8")
+    );
+  } catch (err) {
+    throw new Error(
+      `Failed to decrypt ${file}, please check the passphrase is correct`
+    );
+  }
+}
+
+/**
+ * Encrypts secrets to a secrets file, replacing it if it exists
+ *
+ * @param {string} file
+ * @param {Record<string, string>} secrets
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ */
+export async function writeSecretsFile(file, secrets, passphrase) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const key = await deriveKey(passphrase, salt, SCRYPT_PARAMS);
+
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(secrets), "utf8"),
+    cipher.final(),
+  ]);
+
+  /** @type {SecretsFile} */
+  const contents = {
+    version: SECRETS_FILE_VERSION,
+    kdf: { name: "scrypt", ...SCRYPT_PARAMS, salt: salt.toString("base64") },
+    cipher: "aes-256-gcm",
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+
+  // Write to a temporary file first, so that the secrets are never left
+  // partially written:
+  const tmpFile = `${file}.tmp`;
+  await writeFile(tmpFile, JSON.stringify(contents, null, 2), { mode: 0o600 });
+  await rename(tmpFile, file);
+}
+
+/**
+ * Reads a secret from a local file encrypted with a passphrase, e.g.,
+ * file://secrets.json#kofi for the secret kofi in secrets.json, relative to the
+ * working directory, or file:///home/jane/secrets.json#kofi
+ *
+ * @type {import("../secrets.js").SecretProvider}
+ */
+export default {
+  scheme: "file",
+  name: "secrets file",
+  async resolve(path, config) {
+    const [filePath, name] = path.split("#");
+    if (!filePath || !name) {
+      throw new Error(
+        `Invalid secrets file reference file://${path}, expected file://<path>#<name>`
+      );
+    }
+
+    const file = resolvePath(filePath);
+    if (!existsSync(file)) {
+      throw new Error(`The secrets file ${file} doesn't exist`);
+    }
+
+    const secrets = await readSecretsFile(
+      file,
+      await getPassphrase(file, config)
+    );
+    if (!secrets[name]) {
+      throw new Error(`The secrets file ${file} has no secret named ${name}`);
+    }
+
+    return secrets[name];
+  },
+};
@@ -0,0 +1,46 @@
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+
+/**
+ * Reads a secret from the system keyring, e.g., keyring://stripe/kofi for the
+ * password of the account kofi of the service stripe, using the macOS Keychain
+ * or the Secret Service on Linux (GNOME Keyring, KWallet)
+ *
+ * @type {import("../secrets.js").SecretProvider}
+ */
+export default {
+  scheme: "keyring",
+  name: "system keyring",
+  async resolve(path) {
+    const [service, ...rest] = path.split("/");
+    const account = rest.join("/");
+    if (!service || !account) {
+      throw new Error(
+        `Invalid keyring reference keyring://${path}, expected keyring://<service>/<account>`
+      );
+    }
+
+    const [command, args] =
+      process.platform === "darwin"
+        ? [
+            "security",
+            ["find-generic-password", "-s", service, "-a", account, "-w"],
+          ]
+        : ["secret-tool", ["lookup", "service", service, "account", account]];
+
+    try {
+      const { stdout } = await promisify(execFile)(command, args);
+      return stdout.trim();
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        throw new Error(
+          `${command} isn't installed, it's needed to read from the system keyring`
+        );
+      }
+
+      throw new Error(
+        `The system keyring has no password for ${account} of ${service}`
+      );
+    }
+  },
+};
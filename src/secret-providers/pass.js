@@ -0,0 +1,29 @@
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+
+/**
+ * Reads a secret from the standard unix password manager, e.g.,
+ * pass://stripe/kofi for the entry stripe/kofi, the secret is its first line
+ *
+ * @type {import("../secrets.js").SecretProvider}
+ */
+export default {
+  scheme: "pass",
+  name: "pass",
+  async resolve(path) {
+    try {
+      const { stdout } = await promisify(execFile)("pass", ["show", path]);
+      return stdout.split("\n")[0].trim();
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        throw new Error(
+          "pass isn't installed, see https://www.passwordstore.org"
+        );
+      }
+
+      throw new Error(
+        `pass couldn't read ${path}: ${err.stderr || err.message}`
+      );
+    }
+  },
+};
@@ -0,0 +1,108 @@
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+
+import onePassword from "./secret-providers/1password.js";
+import pass from "./secret-providers/pass.js";
+import env from "./secret-providers/env.js";
+import keyring from "./secret-providers/keyring.js";
+import file from "./secret-providers/file.js";
+
+/**
+ * @typedef SecretProvider
+ * @property {string} scheme the URI scheme of the references it resolves,
+ *   e.g., "pass" for pass://stripe/kofi
+ * @property {string} name shown in errors
+ * @property {(path: string, config: import("./configuration.js").configuration) => Promise<string>} resolve
+ *   reads the secret at the path, the reference without its scheme, e.g.,
+ *   "stripe/kofi"
+ */
+
+/** @type {Map<string, SecretProvider>} */
+const SECRET_PROVIDERS = new Map(
+  [onePassword, pass, env, keyring, file].map((provider) => [
+    provider.scheme,
+    provider,
+  ])
+);
+
+let modulesLoaded = false;
+
+/**
+ * Adds a secret provider to the registry, replacing any provider for the same
+ * scheme
+ *
+ * @param {SecretProvider} provider
+ */
+export function registerSecretProvider(provider) {
+  const problems = [
+    (typeof provider?.scheme !== "string" ||
+      !/^[a-z][a-z0-9+.-]*$/.test(provider.scheme)) &&
+      "scheme must be a lowercase URI scheme",
+    typeof provider?.name !== "string" && "name must be a string",
+    typeof provider?.resolve !== "function" && "resolve must be a function",
+  ].filter((v) => !!v);
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid secret provider ${provider?.scheme ?? ""}: ${problems.join(
+        ", "
+      )}`
+    );
+  }
+
+  SECRET_PROVIDERS.set(provider.scheme, provider);
+}
+
+/**
+ * Loads the secret provider modules listed in secrets.modules, each module's
+ * default export is a SecretProvider
+ *
+ * @param {import("./configuration.js").configuration} config
+ */
+async function loadSecretProviderModules(config) {
+  for (const path of config.secrets.modules) {
+    const module = await import(pathToFileURL(resolve(path)).href);
+    registerSecretProvider(module.default);
+  }
+}
+
+/**
+ * Resolves a secret, which is either the secret itself, or a reference to it
+ * with the scheme of a secret provider, e.g., op://Private/Stripe/credential,
+ * pass://stripe/kofi, env://STRIPE_KEY, keyring://stripe/kofi or
+ * file://secrets.json#kofi
+ *
+ * @param {string} value
+ * @param {import("./configuration.js").configuration} config
+ * @returns {Promise<string>}
+ */
+export async function resolveSecret(value, config) {
+  if (!modulesLoaded) {
+    await loadSecretProviderModules(config);
+    modulesLoaded = true;
+  }
+
+  const match = value.match(/^([a-z][a-z0-9+.-]*):\/\/(.*)$/s);
+  if (!match) {
+    return value;
+  }
+
+  const [, scheme, path] = match;
+  const provider = SECRET_PROVIDERS.get(scheme);
+  if (!provider) {
+    throw new Error(
+      `Unknown secret provider ${scheme}://, available providers: ${Array.from(
+        SECRET_PROVIDERS.keys()
+      )
+        .map((scheme) => `${scheme}://`)
+        .join(", ")}`
+    );
+  }
+
+  const secret = await provider.resolve(path, config);
+  if (!secret) {
+    throw new Error(`The ${provider.name} secret ${scheme}://${path} is empty`);
+  }
+
+  return secret.trim();
+}
@@ -17,9 +17,124 @@ export function getStripeTokens() {
   return tokens;
 }
 
-export function getStripeClient(secret) {
+/**
+ * @param {string} secret
+ * @param {object} [options]
+ * @param {import("stripe").Stripe.HttpClient} [options.httpClient] e.g., to
+ *   record or replay fixtures, see fixtures.js
+ * @param {string} [options.stripeAccount] the ID of a connected account to
+ *   make every request for, with the secret key of its platform
+ * @returns {import("stripe").Stripe}
+ */
+export function getStripeClient(secret, { httpClient, stripeAccount } = {}) {
   return new Stripe(secret, {
     apiVersion: "2023-10-16",
+    ...(httpClient ? { httpClient } : {}),
+    ...(stripeAccount ? { stripeAccount } : {}),
+  });
+}
+
+/**
+ * Checks a key is a secret or restricted key of the Stripe API, before it's
+ * used for any requests, e.g., to catch a publishable key or a 1Password
+ * reference that resolved to the wrong field
+ *
+ * @param {string} key
+ * @param {string} accountName
+ */
+export function validateStripeKey(key, accountName) {
+  if (/^(sk|rk)_(live|test)_\w+$/.test(key)) {
+    return;
+  }
+
+  const reason = key.startsWith("pk_")
+    ? "is a publishable key"
+    : key.startsWith("whsec_")
+    ? "is a webhook signing secret"
+    : "doesn't look like a Stripe key";
+
+  throw new Error(
+    `The Stripe key for ${accountName} ${reason}, please use a secret key (sk_live_ or sk_test_) or a restricted key (rk_live_ or rk_test_)`
+  );
+}
+
+/**
+ * Requests to check a restricted key can read each Stripe resource
+ * @type {Record<string, (stripe: Stripe) => Promise<unknown>>}
+ */
+const permissionChecks = {
+  accounts: (stripe) => stripe.accounts.list({ limit: 1 }),
+  balance_transactions: (stripe) =>
+    stripe.balanceTransactions.list({ limit: 1 }),
+  charges: (stripe) => stripe.charges.list({ limit: 1 }),
+  customers: (stripe) => stripe.customers.list({ limit: 1 }),
+  invoices: (stripe) => stripe.invoices.list({ limit: 1 }),
+  payouts: (stripe) => stripe.payouts.list({ limit: 1 }),
+  refunds: (stripe) => stripe.refunds.list({ limit: 1 }),
+};
+
+/**
+ * Checks a restricted key has read access to the given Stripe resources, so
+ * that a missing permission is reported before anything is processed, rather
+ * than failing part way through. Secret keys can read everything.
+ *
+ * @param {Stripe} stripe
+ * @param {string} key
+ * @param {string[]} resources e.g., ["balance_transactions", "charges"]
+ * @param {string} accountName
+ * @returns {Promise<void>}
+ */
+export async function checkKeyPermissions(stripe, key, resources, accountName) {
+  if (!key.startsWith("rk_")) {
+    return;
+  }
+
+  const missing = [];
+  for (const resource of new Set(resources)) {
+    try {
+      await permissionChecks[resource](stripe);
+    } catch (err) {
+      if (err.type !== "StripePermissionError") {
+        throw err;
+      }
+
+      missing.push(resource);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new Error(
+      `The restricted key for ${accountName} can't read ${missing
+        .map((resource) => resource.replaceAll("_", " "))
+        .join(", ")}, please give it read access to these in Stripe`
+    );
+  }
+}
+
+/**
+ * Normalizes the tax amounts of an invoice or invoice line, the tax rate is
+ * only an ID unless expanded, so the percentage is otherwise calculated from
+ * the taxable amount
+ * @param {import("stripe").Stripe.Invoice.TotalTaxAmount[] | undefined} taxAmounts
+ * @returns {TaxAmount[]}
+ */
+function processTaxAmounts(taxAmounts) {
+  return (taxAmounts ?? []).map((taxAmount) => {
+    const taxRate =
+      typeof taxAmount.tax_rate === "object" ? taxAmount.tax_rate : null;
+
+    return {
+      amount: taxAmount.amount,
+      taxable_amount: taxAmount.taxable_amount ?? null,
+      inclusive: taxAmount.inclusive,
+      taxability_reason: taxAmount.taxability_reason ?? null,
+      rate:
+        taxRate?.percentage ??
+        (taxAmount.taxable_amount
+          ? Math.round((taxAmount.amount / taxAmount.taxable_amount) * 1000) /
+            10
+          : 0),
+    };
   });
 }
 
@@ -32,10 +147,6 @@ function processCharge(transaction) {
 
   const errors = [];
   const charge = {
-    // FIXME: both payments and charges are processed with this method, so type
-    // of "charge" isn't actually correct, but fixing requires fixing the
-    // grouping logic on payout receipts, which is too complicated to fix right
-    // now.
     type: "charge",
     transaction_id: transaction.id,
     id: sourceId(transaction),
@@ -52,7 +163,13 @@ function processCharge(transaction) {
     available_on: new Date(transaction.available_on * 1000),
     metadata: txCharge.metadata,
     payment_method: txCharge.payment_method_details,
-    billing_details: txCharge.billing_details,
+    // Payments from platform transfers don't have billing details:
+    billing_details: txCharge.billing_details ?? {
+      name: null,
+      email: null,
+      phone: null,
+      address: null,
+    },
     invoice: txCharge.invoice
       ? {
           id: txCharge.invoice.id,
@@ -65,6 +182,8 @@ function processCharge(transaction) {
             return {
               id: line.id,
               amount: line.amount,
+              amount_excluding_tax: line.amount_excluding_tax ?? null,
+              tax_amounts: processTaxAmounts(line.tax_amounts),
               currency: line.currency,
               description: line.description,
               period: {
@@ -76,15 +195,22 @@ function processCharge(transaction) {
           }),
           total: txCharge.invoice.total,
           total_excluding_tax: txCharge.invoice.total_excluding_tax,
-          total_tax_amounts: txCharge.invoice.total_tax_amounts,
+          total_tax_amounts: processTaxAmounts(
+            txCharge.invoice.total_tax_amounts
+          ),
+          customer_tax_exempt: txCharge.invoice.customer_tax_exempt ?? "none",
+          customer_tax_ids: (txCharge.invoice.customer_tax_ids ?? []).map(
+            (taxId) => ({ type: taxId.type, value: taxId.value })
+          ),
         }
       : null,
     customer: txCharge.customer
       ? {
           id: txCharge.customer.id,
-          email: txCharge.customer.email ?? txCharge.billing_details.email,
-          name: txCharge.customer.name ?? txCharge.billing_details.name,
+          email: txCharge.customer.email ?? txCharge.billing_details?.email,
+          name: txCharge.customer.name ?? txCharge.billing_details?.name,
           address: txCharge.customer.address,
+          metadata: txCharge.customer.metadata ?? {},
         }
       : null,
   };
@@ -113,6 +239,7 @@ function processCharge(transaction) {
       name: charge.billing_details.name,
       email: charge.billing_details.email,
       address: {},
+      metadata: {},
     };
   }
 
@@ -124,10 +251,14 @@ function processCharge(transaction) {
       total: transaction.amount,
       total_excluding_tax: transaction.amount,
       total_tax_amounts: [],
+      customer_tax_exempt: "none",
+      customer_tax_ids: [],
       lines: [
         {
           id: null,
           amount: transaction.amount,
+          amount_excluding_tax: null,
+          tax_amounts: [],
           currency: transaction.currency,
           description: charge.description,
           quantity: 1,
@@ -199,12 +330,57 @@ function processCharge(transaction) {
   return { charge, errors };
 }
 
+/**
+ * Processes a single payment, these are like charges, but have a py_ ID and
+ * are created for async payment methods (e.g., SEPA) or on connected accounts
+ * for funds transferred from the platform, in which case they have a source
+ * transfer instead of billing details or payment method details.
+ * @param {any} transaction
+ */
+function processPayment(transaction) {
+  const { charge, errors } = processCharge(transaction);
+
+  const sourceTransfer = transaction.source.source_transfer;
+
+  /** @type {Payment} */
+  const payment = {
+    ...charge,
+    type: "payment",
+    source_transfer:
+      typeof sourceTransfer === "object" && sourceTransfer !== null
+        ? sourceTransfer.id
+        : sourceTransfer ?? null,
+  };
+
+  return { payment, errors };
+}
+
+/**
+ * Balance transaction types that don't need any special handling, these are
+ * recorded as is in their own results bucket
+ */
+const otherTransactionTypes = {
+  adjustment: "adjustments",
+  application_fee_refund: "application_fee_refunds",
+  transfer: "transfers",
+  transfer_cancel: "transfers",
+  transfer_failure: "transfers",
+  transfer_refund: "transfers",
+  payout_cancel: "payout_reversals",
+  payout_failure: "payout_reversals",
+  reserve_transaction: "reserve_transactions",
+  reserved_funds: "reserve_transactions",
+};
+
 export const knownTransactionTypes = [
   "charge",
   "refund",
+  "payment_refund",
   "payout",
   "stripe_fee",
+  "stripe_fx_fee",
   "payment",
+  ...Object.keys(otherTransactionTypes),
 ];
 
 const feeTypeMap = {
@@ -223,6 +399,95 @@ function sourceId(transaction) {
   }
 }
 
+/**
+ * Whether an adjustment is for a dispute (chargeback) or its reversal
+ * @param {any} transaction
+ * @returns {boolean}
+ */
+function isDispute(transaction) {
+  return (
+    transaction.source?.object === "dispute" ||
+    transaction.reporting_category === "dispute" ||
+    transaction.reporting_category === "dispute_reversal"
+  );
+}
+
+/**
+ * The outcome of a dispute, disputes that aren't yet won or lost are "open"
+ * @param {any} dispute
+ * @returns {"won" | "lost" | "open"}
+ */
+function disputeOutcome(dispute) {
+  if (dispute?.status === "won" || dispute?.status === "lost") {
+    return dispute.status;
+  }
+
+  return "open";
+}
+
+/**
+ * Records a fee of a transaction in the results bucket for its fee type
+ * @param {Results} results
+ * @param {any} transaction
+ * @param {import("stripe").Stripe.BalanceTransaction.FeeDetail} fee
+ * @returns {string} the normalized fee type
+ */
+function recordFee(results, transaction, fee) {
+  // Normalize fee type:
+  const fee_type =
+    fee.type === "payment_method_passthrough_fee"
+      ? "passthrough_fee"
+      : fee.type;
+
+  let resultType = feeTypeMap[fee_type];
+
+  results[resultType].push({
+    type: fee_type,
+    transaction_id: transaction.id,
+    charge_id: sourceId(transaction),
+    amount: fee.amount,
+    currency: fee.currency,
+    description: fee.description,
+    created: new Date(transaction.created * 1000),
+    available_on: new Date(transaction.available_on * 1000),
+  });
+
+  return fee_type;
+}
+
+/**
+ * The ID of the charge that a refund transaction refunds
+ * @param {any} transaction
+ * @returns {string | null}
+ */
+function refundChargeId(transaction) {
+  const charge = transaction.source?.charge;
+  if (typeof charge === "object" && charge !== null) {
+    return charge.id;
+  }
+
+  return charge ?? null;
+}
+
+/**
+ * Processes a refund transaction into a consistently shaped refund
+ * @param {any} transaction
+ * @returns {Refund}
+ */
+function processRefund(transaction) {
+  return {
+    type: "refund",
+    transaction_id: transaction.id,
+    id: sourceId(transaction),
+    charge_id: refundChargeId(transaction),
+    amount: transaction.amount,
+    currency: transaction.currency,
+    description: transaction.description,
+    created: new Date(transaction.created * 1000),
+    available_on: new Date(transaction.available_on * 1000),
+  };
+}
+
 /**
  * @typedef FetchBalanceTransactionFilters
  * @property {string} [filterByType]
@@ -244,13 +509,104 @@ function sourceId(transaction) {
  * @property {Date | null} arrival_date
  */
 
+/**
+ * @typedef TaxAmount
+ * @property {number} amount the tax amount
+ * @property {number | null} taxable_amount the amount the tax is on, excluding tax
+ * @property {boolean} inclusive
+ * @property {string | null} taxability_reason e.g., "reverse_charge"
+ * @property {number} rate in percent
+ */
+
+/**
+ * @typedef Charge
+ * @property {"charge"} type
+ * @property {string} transaction_id
+ * @property {string} id
+ * @property {number} amount
+ * @property {number} net
+ * @property {number} fee
+ * @property {string} currency
+ * @property {number} exchange_rate
+ * @property {string} description
+ * @property {Date} created
+ * @property {Date} available_on
+ * @property {Record<string, string>} metadata
+ * @property {object | null} payment_method
+ * @property {object} billing_details
+ * @property {object} invoice
+ * @property {object} customer
+ */
+
+/**
+ * @typedef {Omit<Charge, "type"> & {
+ *   type: "payment",
+ *   source_transfer: string | null
+ * }} Payment
+ */
+
+/**
+ * @typedef Refund
+ * @property {string} type
+ * @property {string} transaction_id
+ * @property {string} id
+ * @property {string | null} charge_id
+ * @property {number} amount negative, as it's money leaving the account
+ * @property {string} currency
+ * @property {string} description
+ * @property {Date} created
+ * @property {Date} available_on
+ */
+
+/**
+ * @typedef Dispute
+ * @property {"dispute"} type
+ * @property {string} transaction_id
+ * @property {string} id
+ * @property {string | null} charge_id
+ * @property {number} amount negative when funds are withdrawn for the
+ * chargeback, positive when they're reinstated after a won dispute
+ * @property {number} fee the dispute fee
+ * @property {number} net
+ * @property {string} currency
+ * @property {"won" | "lost" | "open"} outcome
+ * @property {boolean} reversal whether this reinstates a disputed amount
+ * @property {string | null} reason
+ * @property {string} description
+ * @property {Date} created
+ * @property {Date} available_on
+ */
+
+/**
+ * @typedef OtherTransaction
+ * @property {string} type the balance transaction type, e.g., transfer
+ * @property {string} transaction_id
+ * @property {string | null} id
+ * @property {number} amount
+ * @property {number} fee
+ * @property {number} net
+ * @property {string} currency
+ * @property {string} reporting_category
+ * @property {string} description
+ * @property {Date} created
+ * @property {Date} available_on
+ */
+
 /**
  * @typedef Results
  * @property {string[]} warnings
  * @property {string[]} errors
  * @property {Payout[]} payouts
- * @property {object[]} charges
- * @property {object[]} refunds
+ * @property {Charge[]} charges
+ * @property {Payment[]} payments
+ * @property {Refund[]} refunds
+ * @property {Dispute[]} disputes
+ * @property {OtherTransaction[]} adjustments
+ * @property {OtherTransaction[]} application_fee_refunds
+ * @property {OtherTransaction[]} transfers
+ * @property {OtherTransaction[]} payout_reversals
+ * @property {OtherTransaction[]} reserve_transactions
+ * @property {object[]} stripe_fx_fees
  * @property {object[]} taxes
  * @property {object[]} stripe_fees
  * @property {object[]} passthrough_fees
@@ -273,6 +629,17 @@ function sourceId(transaction) {
  * @property {number} charge_application_fees
  * @property {number} charge_passthrough_fees
  * @property {number} charge_tax_fees
+ * @property {number} payment_gross
+ * @property {number} payment_net
+ * @property {number} payment_fees
+ * @property {number} disputes
+ * @property {number} dispute_fees
+ * @property {number} adjustments
+ * @property {number} application_fee_refunds
+ * @property {number} transfers
+ * @property {number} payout_reversals
+ * @property {number} reserve_transactions
+ * @property {number} stripe_fx_fees
  */
 
 /**
@@ -283,6 +650,19 @@ function sourceId(transaction) {
  * @property {import("stripe").Stripe.BalanceTransaction[]} unknownTransactions
  */
 
+/**
+ * The objects expanded when listing balance transactions
+ */
+export const BALANCE_TRANSACTION_EXPAND = [
+  // basic data for all balance transactions:
+  "data.source",
+  // data for charges:
+  "data.source.customer",
+  "data.source.invoice",
+  // data for payouts:
+  "data.source.destination",
+];
+
 /**
  * Fetches balance transactions from Stripe and formulates data for them
  * @param {Stripe} stripe
@@ -298,7 +678,15 @@ export async function fetchBalanceTransactions(stripe, filterOptions) {
     application_fees: [],
     payouts: [],
     charges: [],
+    payments: [],
     refunds: [],
+    disputes: [],
+    adjustments: [],
+    application_fee_refunds: [],
+    transfers: [],
+    payout_reversals: [],
+    reserve_transactions: [],
+    stripe_fx_fees: [],
     errors: [],
     warnings: [],
   };
@@ -321,18 +709,21 @@ export async function fetchBalanceTransactions(stripe, filterOptions) {
     charge_application_fees: 0,
     charge_passthrough_fees: 0,
     charge_tax_fees: 0,
+    payment_gross: 0,
+    payment_net: 0,
+    payment_fees: 0,
+    disputes: 0,
+    dispute_fees: 0,
+    adjustments: 0,
+    application_fee_refunds: 0,
+    transfers: 0,
+    payout_reversals: 0,
+    reserve_transactions: 0,
+    stripe_fx_fees: 0,
   };
 
   const requestOptions = {
-    expand: [
-      // basic data for all balance transactions:
-      "data.source",
-      // data for charges:
-      "data.source.customer",
-      "data.source.invoice",
-      // data for payouts:
-      "data.source.destination",
-    ],
+    expand: BALANCE_TRANSACTION_EXPAND,
   };
 
   if (typeof filterOptions === "object") {
@@ -377,12 +768,22 @@ export async function fetchBalanceTransactions(stripe, filterOptions) {
     }
 
     // debug(transaction);
-    if (transaction.type === "refund") {
-      results.refunds.push({
-        type: "refund",
+    if (
+      transaction.type === "refund" ||
+      transaction.type === "payment_refund"
+    ) {
+      results.refunds.push(processRefund(transaction));
+    }
+
+    // Calculate data:
+    if (transaction.type === "stripe_fee") {
+      totals.stripe_fees += transaction.amount * -1;
+
+      results.stripe_fees.push({
+        type: "stripe_fee",
         transaction_id: transaction.id,
         charge_id: sourceId(transaction),
-        amount: transaction.amount,
+        amount: transaction.amount * -1,
         currency: transaction.currency,
         description: transaction.description,
         created: new Date(transaction.created * 1000),
@@ -390,12 +791,11 @@ export async function fetchBalanceTransactions(stripe, filterOptions) {
       });
     }
 
-    // Calculate data:
-    if (transaction.type === "stripe_fee") {
-      totals.stripe_fees += transaction.amount * -1;
+    if (transaction.type === "stripe_fx_fee") {
+      totals.stripe_fx_fees += transaction.amount * -1;
 
-      results.stripe_fees.push({
-        type: "stripe_fee",
+      results.stripe_fx_fees.push({
+        type: "stripe_fx_fee",
         transaction_id: transaction.id,
         charge_id: sourceId(transaction),
         amount: transaction.amount * -1,
@@ -406,6 +806,59 @@ export async function fetchBalanceTransactions(stripe, filterOptions) {
       });
     }
 
+    if (transaction.type === "adjustment" && isDispute(transaction)) {
+      const dispute =
+        typeof transaction.source === "object" ? transaction.source : null;
+
+      totals.disputes += transaction.amount;
+      totals.dispute_fees += transaction.fee;
+
+      // The dispute fee is recorded along with the other fees:
+      transaction.fee_details.forEach((fee) =>
+        recordFee(results, transaction, fee)
+      );
+
+      results.disputes.push({
+        type: "dispute",
+        transaction_id: transaction.id,
+        id: sourceId(transaction),
+        charge_id:
+          typeof dispute?.charge === "object"
+            ? dispute.charge?.id ?? null
+            : dispute?.charge ?? null,
+        amount: transaction.amount,
+        fee: transaction.fee,
+        net: transaction.net,
+        currency: transaction.currency,
+        outcome: disputeOutcome(dispute),
+        reversal:
+          transaction.reporting_category === "dispute_reversal" ||
+          transaction.amount > 0,
+        reason: dispute?.reason ?? null,
+        description: transaction.description,
+        created: new Date(transaction.created * 1000),
+        available_on: new Date(transaction.available_on * 1000),
+      });
+    } else if (otherTransactionTypes[transaction.type]) {
+      const resultType = otherTransactionTypes[transaction.type];
+
+      totals[resultType] += transaction.amount;
+
+      results[resultType].push({
+        type: transaction.type,
+        transaction_id: transaction.id,
+        id: sourceId(transaction) ?? null,
+        amount: transaction.amount,
+        fee: transaction.fee,
+        net: transaction.net,
+        currency: transaction.currency,
+        reporting_category: transaction.reporting_category,
+        description: transaction.description,
+        created: new Date(transaction.created * 1000),
+        available_on: new Date(transaction.available_on * 1000),
+      });
+    }
+
     if (
       transaction.type === "payout" &&
       typeof transaction.source === "object" &&
@@ -437,19 +890,10 @@ export async function fetchBalanceTransactions(stripe, filterOptions) {
       });
     }
 
-    // // TODO: Implement payment type:
-    // if (transaction.type === "payment") {
-    //   debug("transaction", transaction);
-    // }
-
     if (transaction.type === "charge" || transaction.type === "payment") {
       // Calculate individual fee type totals:
       transaction.fee_details.forEach((fee) => {
-        // Normalize fee type:
-        const fee_type =
-          fee.type === "payment_method_passthrough_fee"
-            ? "passthrough_fee"
-            : fee.type;
+        const fee_type = recordFee(results, transaction, fee);
 
         if (fee_type === "stripe_fee") {
           totals.charge_stripe_fees += fee.amount;
@@ -460,38 +904,42 @@ export async function fetchBalanceTransactions(stripe, filterOptions) {
         } else {
           totals.charge_tax_fees += fee.amount;
         }
-
-        let resultType = feeTypeMap[fee_type];
-
-        results[resultType].push({
-          type: fee_type,
-          transaction_id: transaction.id,
-          charge_id: sourceId(transaction),
-          amount: fee.amount,
-          currency: fee.currency,
-          description: fee.description,
-          created: new Date(transaction.created * 1000),
-          available_on: new Date(transaction.available_on * 1000),
-        });
       });
 
       try {
-        const { charge, errors } = processCharge(transaction);
+        if (transaction.type === "payment") {
+          const { payment, errors } = processPayment(transaction);
 
-        if (errors.length) {
-          console.error(errors);
-          errors.forEach((err) => results.errors.push(err.error));
-        }
+          if (errors.length) {
+            console.error(errors);
+            errors.forEach((err) => results.errors.push(err.error));
+          }
+
+          results.payments.push(payment);
+        } else {
+          const { charge, errors } = processCharge(transaction);
 
-        results.charges.push(charge);
+          if (errors.length) {
+            console.error(errors);
+            errors.forEach((err) => results.errors.push(err.error));
+          }
+
+          results.charges.push(charge);
+        }
       } catch (err) {
         results.errors.push(err);
         debug("transaction", transaction);
       }
 
-      totals.charge_fees += transaction.fee;
-      totals.charge_gross += transaction.amount;
-      totals.charge_net += transaction.net;
+      if (transaction.type === "payment") {
+        totals.payment_fees += transaction.fee;
+        totals.payment_gross += transaction.amount;
+        totals.payment_net += transaction.net;
+      } else {
+        totals.charge_fees += transaction.fee;
+        totals.charge_gross += transaction.amount;
+        totals.charge_net += transaction.net;
+      }
     }
   }
 
@@ -503,6 +951,73 @@ export async function fetchBalanceTransactions(stripe, filterOptions) {
   };
 }
 
+/**
+ * Fetches a single charge or payment and formulates data for it, e.g., for the
+ * original charge of a refund which is outside of the period being processed
+ * @param {Stripe} stripe
+ * @param {string} chargeId
+ * @returns {Promise<Charge | Payment>}
+ */
+export async function fetchCharge(stripe, chargeId) {
+  const charge = await stripe.charges.retrieve(chargeId, {
+    expand: ["balance_transaction", "customer", "invoice"],
+  });
+
+  if (
+    typeof charge.balance_transaction !== "object" ||
+    charge.balance_transaction === null
+  ) {
+    throw new Error(`Charge ${chargeId} has no balance transaction`);
+  }
+
+  const transaction = { ...charge.balance_transaction, source: charge };
+
+  if (transaction.type === "payment") {
+    const { payment, errors } = processPayment(transaction);
+    if (errors.length) {
+      console.error(errors);
+    }
+
+    return payment;
+  }
+
+  const { charge: result, errors } = processCharge(transaction);
+  if (errors.length) {
+    console.error(errors);
+  }
+
+  return result;
+}
+
+/**
+ * Fetches the refunds of a charge and formulates data for them, refunds that
+ * haven't been processed yet have no balance transaction and are left out
+ * @param {Stripe} stripe
+ * @param {string} chargeId
+ * @returns {Promise<Refund[]>}
+ */
+export async function fetchRefunds(stripe, chargeId) {
+  const refunds = [];
+
+  for await (const refund of stripe.refunds.list({
+    charge: chargeId,
+    expand: ["data.balance_transaction"],
+  })) {
+    if (
+      typeof refund.balance_transaction !== "object" ||
+      refund.balance_transaction === null
+    ) {
+      continue;
+    }
+
+    refunds.push(
+      processRefund({ ...refund.balance_transaction, source: refund })
+    );
+  }
+
+  return sortByCreated(refunds);
+}
+
 /**
  *
  * @param {Stripe} stripe
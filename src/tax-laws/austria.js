@@ -0,0 +1,29 @@
+/** @type {import("../taxation.js").TaxLaw} */
+export default {
+  id: "austria",
+  name: "Austria",
+  countries: ["austria", "österreich", "at"],
+  // Kleinunternehmerregelung:
+  smallBusinessStatement: {
+    en: "In accordance with Section 6 (1) No. 27 UStG, this invoice does not include VAT.",
+    de: "Umsatzsteuerbefreit – Kleinunternehmer gemäß § 6 Abs. 1 Z 27 UStG.",
+  },
+  reverseChargeStatement: {
+    en: "Reverse charge: the recipient of the service is liable for the VAT (Übergang der Steuerschuld).",
+    de: "Übergang der Steuerschuld auf den Leistungsempfänger (Reverse Charge).",
+  },
+  // Kleinbetragsrechnung, § 11 Abs. 6 UStG:
+  smallInvoice: {
+    limit: 40000,
+    currency: "eur",
+    statement: {
+      en: "Simplified invoice in accordance with Section 11 (6) UStG.",
+      de: "Kleinbetragsrechnung gemäß § 11 Abs. 6 UStG.",
+    },
+    showTaxIdentifiers: false,
+    modes: ["small_business", "vat_registered"],
+  },
+  // § 11 Abs. 1 UStG, the UID is only required on invoices over € 10,000:
+  requiredFields: ["name", "address_line_1", "postal_code", "city"],
+  vatRates: { standard: 20, reduced: [10, 13] },
+};
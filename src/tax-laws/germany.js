@@ -0,0 +1,36 @@
+/** @type {import("../taxation.js").TaxLaw} */
+export default {
+  id: "germany",
+  name: "Germany",
+  countries: ["germany", "deutschland", "de"],
+  // Kleinunternehmerregelung:
+  smallBusinessStatement: {
+    en: "In accordance with Section 19 UStG, this invoice does not include VAT.",
+    de: "Gemäß § 19 UStG wird keine Umsatzsteuer berechnet.",
+  },
+  reverseChargeStatement: {
+    en: "Reverse charge: the recipient of the service is liable for the VAT (Steuerschuldnerschaft des Leistungsempfängers).",
+    de: "Steuerschuldnerschaft des Leistungsempfängers (Reverse Charge).",
+  },
+  // Kleinbetragsrechnung, § 33 UStDV:
+  smallInvoice: {
+    limit: 25000,
+    currency: "eur",
+    statement: {
+      en: "Simplified invoice in accordance with Section 33 UStDV.",
+      de: "Kleinbetragsrechnung gemäß § 33 UStDV.",
+    },
+    showTaxIdentifiers: false,
+    // Kleinunternehmer may issue them as well:
+    modes: ["small_business", "vat_registered"],
+  },
+  // § 14 Abs. 4 UStG:
+  requiredFields: [
+    "name",
+    "address_line_1",
+    "postal_code",
+    "city",
+    "tax_identifier",
+  ],
+  vatRates: { standard: 19, reduced: [7] },
+};
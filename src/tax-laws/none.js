@@ -0,0 +1,22 @@
+/**
+ * A generic tax law for businesses that don't charge VAT, used when there's no
+ * tax law for the country of the business
+ *
+ * @type {import("../taxation.js").TaxLaw}
+ */
+export default {
+  id: "none",
+  name: "No VAT",
+  countries: [],
+  smallBusinessStatement: {
+    en: "This invoice does not include VAT.",
+    de: "Diese Rechnung enthält keine Umsatzsteuer.",
+  },
+  reverseChargeStatement: {
+    en: "Reverse charge: the recipient is liable for the VAT.",
+    de: "Steuerschuldnerschaft des Leistungsempfängers (Reverse Charge).",
+  },
+  smallInvoice: null,
+  requiredFields: ["name"],
+  vatRates: { standard: 0, reduced: [] },
+};
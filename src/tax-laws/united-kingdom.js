@@ -0,0 +1,32 @@
+/** @type {import("../taxation.js").TaxLaw} */
+export default {
+  id: "united_kingdom",
+  name: "United Kingdom",
+  countries: [
+    "united kingdom",
+    "uk",
+    "gb",
+    "great britain",
+    "england",
+    "scotland",
+    "wales",
+    "northern ireland",
+  ],
+  // Businesses below the VAT registration threshold:
+  smallBusinessStatement:
+    "This business is not registered for VAT, this invoice does not include VAT.",
+  reverseChargeStatement:
+    "Reverse charge: the customer is liable to account for the VAT.",
+  // Simplified VAT invoices:
+  smallInvoice: {
+    limit: 25000,
+    currency: "gbp",
+    statement: "Simplified VAT invoice.",
+    // The VAT registration number is required on simplified invoices:
+    showTaxIdentifiers: true,
+    // Only VAT registered businesses issue VAT invoices:
+    modes: ["vat_registered"],
+  },
+  requiredFields: ["name", "address_line_1", "postal_code", "city"],
+  vatRates: { standard: 20, reduced: [5, 0] },
+};
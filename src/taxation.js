@@ -1,27 +1,326 @@
-const TAX_LAWS = {
-  germany: {
-    smallInvoiceLimit: 25000,
-    smallBusinessStatement:
-      "In accordance with Section 19 UStG, this invoice does not include VAT.",
-  },
-};
-
-export function validateTaxLaw(config) {
-  const country = config.business.country.toLowerCase();
-  if (!TAX_LAWS.hasOwnProperty(country)) {
-    console.error(
-      `This tool currently only supports the following tax laws:\n${Object.keys(
-        TAX_LAWS
-      )
-        .map((country) => ` - ${country}`)
-        .join("\n")}\n`
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+
+import germany from "./tax-laws/germany.js";
+import austria from "./tax-laws/austria.js";
+import unitedKingdom from "./tax-laws/united-kingdom.js";
+import none from "./tax-laws/none.js";
+
+/**
+ * Text that is either the same in every language, or given per language, keyed
+ * by language, e.g., { en: "…", de: "…" }
+ * @typedef {string | Record<string, string>} LocalizedText
+ */
+
+/**
+ * @typedef SmallInvoiceRule
+ * @property {number} limit the maximum gross amount of a small invoice, in cents
+ * @property {string} currency
+ * @property {LocalizedText} statement shown on simplified receipts
+ * @property {boolean} showTaxIdentifiers whether simplified receipts must still
+ *   show the tax identifier and VAT ID of the business
+ * @property {("small_business" | "vat_registered")[]} modes the taxation modes
+ *   the rule applies to, e.g., only VAT registered businesses issue simplified
+ *   VAT invoices
+ */
+
+/**
+ * @typedef TaxLaw
+ * @property {string} id used to select the tax law in the configuration
+ * @property {string} name
+ * @property {string[]} countries lowercase names and ISO codes of the countries
+ *   the tax law applies to, matched against business.country
+ * @property {LocalizedText} smallBusinessStatement shown on receipts without VAT
+ * @property {LocalizedText} reverseChargeStatement shown on receipts where the
+ *   customer is liable for the VAT, when VAT registered
+ * @property {SmallInvoiceRule | null} smallInvoice
+ * @property {string[]} requiredFields business fields which must be set for
+ *   receipts to be valid, e.g., "tax_identifier"
+ * @property {{ standard: number, reduced: number[] }} vatRates in percent
+ */
+
+/** @type {Map<string, TaxLaw>} */
+const TAX_LAWS = new Map(
+  [germany, austria, unitedKingdom, none].map((law) => [law.id, law])
+);
+
+/**
+ * Adds a tax law to the registry, replacing any tax law with the same ID
+ *
+ * @param {TaxLaw} law
+ */
+export function registerTaxLaw(law) {
+  const problems = [
+    typeof law?.id !== "string" && "id must be a string",
+    typeof law?.name !== "string" && "name must be a string",
+    !Array.isArray(law?.countries) && "countries must be an array",
+    !["string", "object"].includes(typeof law?.smallBusinessStatement) &&
+      "smallBusinessStatement must be a string or an object of languages",
+    !Array.isArray(law?.requiredFields) && "requiredFields must be an array",
+    typeof law?.vatRates?.standard !== "number" &&
+      "vatRates.standard must be a number",
+  ].filter((v) => !!v);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid tax law ${law?.id ?? ""}: ${problems.join(", ")}`);
+  }
+
+  TAX_LAWS.set(law.id, {
+    reverseChargeStatement: none.reverseChargeStatement,
+    ...law,
+    countries: law.countries.map((country) => country.toLowerCase()),
+    smallInvoice: law.smallInvoice
+      ? {
+          statement: "Simplified invoice.",
+          showTaxIdentifiers: true,
+          modes: ["small_business", "vat_registered"],
+          ...law.smallInvoice,
+        }
+      : null,
+    vatRates: { reduced: [], ...law.vatRates },
+  });
+}
+
+/**
+ * Loads the tax law modules listed in taxation.modules, each module's default
+ * export is a TaxLaw
+ *
+ * @param {import("./configuration.js").configuration} config
+ */
+async function loadTaxLawModules(config) {
+  for (const path of config.taxation.modules) {
+    const module = await import(pathToFileURL(resolve(path)).href);
+    registerTaxLaw(module.default);
+  }
+}
+
+/**
+ * Finds the tax law for the business, either as set in taxation.law, or by the
+ * country of the business, falling back to the generic "no VAT" tax law
+ *
+ * @param {import("./configuration.js").configuration} config
+ * @returns {Promise<TaxLaw>}
+ */
+export async function getTaxLaw(config) {
+  await loadTaxLawModules(config);
+
+  let taxLaw;
+  if (config.taxation.law) {
+    taxLaw = TAX_LAWS.get(config.taxation.law);
+
+    if (!taxLaw) {
+      throw new Error(
+        `Unknown tax law: ${
+          config.taxation.law
+        }, available tax laws: ${Array.from(TAX_LAWS.keys()).join(", ")}`
+      );
+    }
+  } else {
+    const country = config.business.country.trim().toLowerCase();
+    taxLaw = Array.from(TAX_LAWS.values()).find((law) =>
+      law.countries.includes(country)
+    );
+
+    if (!taxLaw) {
+      console.warn(
+        `Warning: no tax law found for the country "${config.business.country}", using the generic "no VAT" tax law, set taxation.law to choose one`
+      );
+      taxLaw = none;
+    }
+  }
+
+  validateTaxLaw(config, taxLaw);
+
+  return taxLaw;
+}
+
+/**
+ * Ensures the business fields the tax law requires on receipts are set
+ *
+ * @param {import("./configuration.js").configuration} config
+ * @param {TaxLaw} taxLaw
+ */
+export function validateTaxLaw(config, taxLaw) {
+  const requiredFields = [...taxLaw.requiredFields];
+
+  // VAT registered businesses must show their VAT ID, e.g., for reverse charge:
+  if (config.taxation.mode === "vat_registered") {
+    requiredFields.push("vat_identifier");
+
+    if (config.taxation.vatRate === null && taxLaw.vatRates.standard === 0) {
+      throw new Error(
+        `The tax law of ${taxLaw.name} has no VAT rate, please set taxation.vatRate`
+      );
+    }
+  }
+
+  const missing = requiredFields.filter((field) => !config.business[field]);
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Receipts under the tax law of ${taxLaw.name} require ${missing
+        .map((field) => `business.${field}`)
+        .join(", ")} to be set`
+    );
+  }
+}
+
+/**
+ * @typedef TaxRateBreakdown
+ * @property {number} rate in percent
+ * @property {number} net
+ * @property {number} tax
+ */
+
+/**
+ * @typedef TaxBreakdown
+ * @property {"stripe" | "reverse_charge" | "configured"} source where the tax
+ *   amounts come from
+ * @property {TaxRateBreakdown[]} rates
+ * @property {number} net
+ * @property {number} tax
+ * @property {number} gross
+ * @property {boolean} reverseCharge
+ */
+
+/**
+ * Breaks down the total of an invoice by VAT rate, using the tax amounts from
+ * Stripe (e.g., Stripe Tax or tax rates on the invoice) when there are any,
+ * otherwise the total is taken to include VAT at the given rate
+ *
+ * @param {any} invoice a processed invoice, see processCharge
+ * @param {number} vatRate in percent
+ * @returns {TaxBreakdown}
+ */
+export function getTaxBreakdown(invoice, vatRate) {
+  const reverseCharge =
+    invoice.customer_tax_exempt === "reverse" ||
+    invoice.total_tax_amounts.some(
+      (taxAmount) => taxAmount.taxability_reason === "reverse_charge"
     );
 
-    process.exit(1);
+  let source;
+  let rates;
+
+  if (invoice.total_tax_amounts.length > 0) {
+    source = "stripe";
+
+    const byRate = new Map();
+    invoice.total_tax_amounts.forEach((taxAmount) => {
+      const entry = byRate.get(taxAmount.rate) ?? {
+        rate: taxAmount.rate,
+        net: 0,
+        tax: 0,
+      };
+
+      byRate.set(taxAmount.rate, {
+        ...entry,
+        net: entry.net + (taxAmount.taxable_amount ?? 0),
+        tax: entry.tax + taxAmount.amount,
+      });
+    });
+
+    rates = Array.from(byRate.values());
+
+    // Older invoices don't have taxable amounts, and parts of an invoice may
+    // not be taxed at all:
+    const untaxed =
+      invoice.total_excluding_tax -
+      rates.reduce((total, entry) => total + entry.net, 0);
+
+    if (untaxed > 0) {
+      if (rates.length === 1 && rates[0].net === 0) {
+        rates[0].net = untaxed;
+      } else {
+        rates.push({ rate: 0, net: untaxed, tax: 0 });
+      }
+    }
+  } else if (reverseCharge) {
+    source = "reverse_charge";
+    rates = [{ rate: 0, net: invoice.total, tax: 0 }];
+  } else {
+    source = "configured";
+
+    const net = Math.round((invoice.total * 100) / (100 + vatRate));
+    rates = [{ rate: vatRate, net, tax: invoice.total - net }];
   }
+
+  return {
+    source,
+    rates,
+    net: rates.reduce((total, entry) => total + entry.net, 0),
+    tax: rates.reduce((total, entry) => total + entry.tax, 0),
+    gross: invoice.total,
+    reverseCharge,
+  };
+}
+
+/**
+ * The VAT rate, net and gross amount of an invoice line
+ *
+ * @param {any} line a processed invoice line, see processCharge
+ * @param {TaxBreakdown} breakdown of the invoice the line is on
+ * @returns {{ rate: number, net: number, gross: number }}
+ */
+export function getLineTax(line, breakdown) {
+  if (line.tax_amounts.length > 0) {
+    const tax = line.tax_amounts.reduce(
+      (total, taxAmount) => total + taxAmount.amount,
+      0
+    );
+    const inclusive = line.tax_amounts.some((taxAmount) => taxAmount.inclusive);
+
+    const net =
+      line.amount_excluding_tax ??
+      (inclusive ? line.amount - tax : line.amount);
+
+    return {
+      rate: line.tax_amounts[0].rate,
+      net,
+      gross: net + tax,
+    };
+  }
+
+  // Without tax data the line includes VAT at the configured rate:
+  if (breakdown.source === "configured") {
+    const { rate } = breakdown.rates[0];
+
+    return {
+      rate,
+      net: Math.round((line.amount * 100) / (100 + rate)),
+      gross: line.amount,
+    };
+  }
+
+  const net = line.amount_excluding_tax ?? line.amount;
+  return { rate: 0, net, gross: net };
+}
+
+/**
+ * Whether a charge only needs a simplified receipt under the small invoice
+ * rules of the tax law, e.g., a Kleinbetragsrechnung in Germany. Reverse charge
+ * invoices always need a full receipt.
+ *
+ * @param {TaxLaw} taxLaw
+ * @param {"small_business" | "vat_registered"} mode the taxation mode
+ * @param {any} charge a processed charge, see processCharge
+ * @param {TaxBreakdown | null} breakdown
+ * @returns {boolean}
+ */
+export function isSmallInvoice(taxLaw, mode, charge, breakdown) {
+  return (
+    !!taxLaw.smallInvoice &&
+    taxLaw.smallInvoice.modes.includes(mode) &&
+    !breakdown?.reverseCharge &&
+    charge.currency === taxLaw.smallInvoice.currency &&
+    charge.invoice.total <= taxLaw.smallInvoice.limit
+  );
 }
 
-export function getTaxLaw(config) {
-  const country = config.business.country.toLowerCase();
-  return TAX_LAWS[country];
+/**
+ * @param {number} rate in percent
+ * @returns {string}
+ */
+export function formatVatRate(rate) {
+  return `${rate} %`;
 }
@@ -1,5 +1,35 @@
 import { render } from "prettyjson";
+import { getCountryCode } from "countries-list";
 
 export function debug(type, object) {
   console.log(`\n\n${type}:\n${render(object)}\n\n`);
 }
+
+/**
+ * The lines of the business address, as shown on receipts
+ * @param {import("./configuration.js").configuration["business"]} business
+ * @returns {string[]}
+ */
+export function getBusinessAddress(business) {
+  return [
+    business.address_line_1,
+    business.address_line_2,
+    `${business.postal_code} ${business.city}`.trim(),
+    business.state,
+    business.country,
+  ].filter((v) => !!v);
+}
+
+/**
+ * The ISO 3166-1 alpha-2 code of a country, e.g., "DE"
+ * @param {string | null | undefined} country the name or ISO code of a country
+ * @returns {string | null}
+ */
+export function getCountryIsoCode(country) {
+  if (!country) {
+    return null;
+  }
+
+  const code = country.length === 2 ? country : getCountryCode(country);
+  return code ? code.toUpperCase() : null;
+}
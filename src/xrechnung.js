@@ -0,0 +1,125 @@
+import crossIndustryInvoice from "./generators/cross-industry-invoice.js";
+import universalBusinessLanguage from "./generators/universal-business-language.js";
+
+/**
+ * @typedef XRechnungRule
+ * @property {string} term the business term (BT) of EN 16931
+ * @property {string} description
+ * @property {(invoice: import("./e-invoice.js").EInvoice) => boolean} isMet
+ */
+
+/**
+ * The mandatory fields of XRechnung 3.0 that depend on the configuration or on
+ * the customer, the others are always written
+ *
+ * @type {XRechnungRule[]}
+ */
+const rules = [
+  {
+    term: "BT-10",
+    description:
+      "buyer reference (the Leitweg-ID for public-sector customers), set as buyer_reference in the metadata of the Stripe customer",
+    isMet: (invoice) => !!invoice.buyerReference,
+  },
+  {
+    term: "BT-27",
+    description: "seller name, set business.name",
+    isMet: (invoice) => !!invoice.seller.name,
+  },
+  {
+    term: "BT-31",
+    description:
+      "seller VAT ID, set business.vat_identifier, or business.tax_identifier for small businesses",
+    isMet: ({ seller, taxes }) =>
+      !!seller.vatId ||
+      (!!seller.taxId && taxes.every((tax) => tax.category === "E")),
+  },
+  {
+    term: "BT-34",
+    description: "seller electronic address, set business.email",
+    isMet: (invoice) => !!invoice.seller.email,
+  },
+  {
+    term: "BT-37",
+    description: "seller city, set business.city",
+    isMet: (invoice) => !!invoice.seller.address.city,
+  },
+  {
+    term: "BT-38",
+    description: "seller post code, set business.postal_code",
+    isMet: (invoice) => !!invoice.seller.address.postalCode,
+  },
+  {
+    term: "BT-40",
+    description: "seller country code, set business.country",
+    isMet: (invoice) => !!invoice.seller.address.countryCode,
+  },
+  {
+    term: "BT-42",
+    description: "seller contact telephone number, set business.phone",
+    isMet: (invoice) => !!invoice.seller.contact?.phone,
+  },
+  {
+    term: "BT-44",
+    description: "buyer name",
+    isMet: (invoice) => !!invoice.buyer.name,
+  },
+  {
+    term: "BT-48",
+    description: "buyer VAT ID, required for reverse charge",
+    isMet: ({ buyer, taxes }) =>
+      !!buyer.vatId || taxes.every((tax) => tax.category !== "AE"),
+  },
+  {
+    term: "BT-49",
+    description: "buyer electronic address, the customer's email address",
+    isMet: (invoice) => !!invoice.buyer.email,
+  },
+  {
+    term: "BT-52",
+    description: "buyer city",
+    isMet: (invoice) => !!invoice.buyer.address.city,
+  },
+  {
+    term: "BT-53",
+    description: "buyer post code",
+    isMet: (invoice) => !!invoice.buyer.address.postalCode,
+  },
+  {
+    term: "BT-55",
+    description: "buyer country code",
+    isMet: (invoice) => !!invoice.buyer.address.countryCode,
+  },
+];
+
+/**
+ * The mandatory fields of XRechnung that the invoice is missing, an empty list
+ * when it's complete.
+ *
+ * This is a check of the content only, not a validation of the XML: the
+ * UBL 2.1 and CII XSDs and the XRechnung Schematron rules aren't bundled, as
+ * they're only published by OASIS, UN/CEFACT and KoSIT rather than as a
+ * package, and validating against the Schematron needs an XSLT 2 processor.
+ * Run the KoSIT validator on the XML files for a full validation.
+ *
+ * @param {import("./e-invoice.js").EInvoice} invoice
+ * @returns {string[]}
+ */
+export function getMissingXRechnungFields(invoice) {
+  return rules
+    .filter((rule) => !rule.isMet(invoice))
+    .map((rule) => `${rule.term} ${rule.description}`);
+}
+
+/**
+ * Writes an electronic invoice as an XRechnung
+ *
+ * @param {import("./e-invoice.js").EInvoice} invoice
+ * @param {"UBL" | "CII"} syntax
+ * @returns {string}
+ */
+export function writeXRechnung(invoice, syntax) {
+  return syntax === "CII"
+    ? crossIndustryInvoice(invoice, "XRECHNUNG")
+    : universalBusinessLanguage(invoice);
+}
@@ -0,0 +1,206 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import TransactionCache from "../src/cache.js";
+import { createTempDir } from "./helpers.js";
+
+const period = {
+  start: new Date("2026-09-01T00:00:00Z"),
+  end: new Date("2026-10-01T00:00:00Z"),
+};
+
+/**
+ * @param {string} date
+ * @returns {number}
+ */
+const unix = (date) => new Date(date).valueOf() / 1000;
+
+/**
+ * A Stripe client with the lists the cache syncs, returning the objects
+ * within the created filter, and recording each request
+ *
+ * @param {Record<string, any[]>} data the objects of each list
+ */
+function createFakeStripe(data) {
+  const requests = [];
+
+  const list = (name) => (params) => {
+    requests.push({ name, params });
+
+    const objects = data[name].filter((object) =>
+      params.payout
+        ? object.payout === params.payout
+        : object.created >= (params.created?.gte ?? 0)
+    );
+
+    return {
+      async *[Symbol.asyncIterator]() {
+        yield* structuredClone(objects).reverse();
+      },
+    };
+  };
+
+  return {
+    requests,
+    balanceTransactions: { list: list("balance_transactions") },
+    payouts: { list: list("payouts") },
+    invoices: { list: list("invoices") },
+  };
+}
+
+/**
+ * @param {AsyncIterable<any>} iterable
+ * @returns {Promise<any[]>}
+ */
+async function collect(iterable) {
+  const objects = [];
+  for await (const object of iterable) {
+    objects.push(object);
+  }
+
+  return objects;
+}
+
+describe("TransactionCache", () => {
+  it("reads the synced objects back from the client", async (t) => {
+    const directory = await createTempDir(t);
+    const stripe = createFakeStripe({
+      balance_transactions: [
+        { id: "txn_1", created: unix("2026-09-02"), status: "available" },
+        { id: "txn_2", created: unix("2026-09-20"), status: "available" },
+      ],
+      payouts: [],
+      invoices: [],
+    });
+
+    const cache = await TransactionCache.load(directory, "kofi");
+    await cache.sync(/** @type {any} */ (stripe), period);
+
+    const client = cache.getClient(/** @type {any} */ (stripe));
+    const transactions = await collect(
+      client.balanceTransactions.list({
+        created: { gte: unix("2026-09-10") },
+      })
+    );
+
+    assert.deepEqual(
+      transactions.map((transaction) => transaction.id),
+      ["txn_2"]
+    );
+  });
+
+  it("only fetches what may have changed on the next sync", async (t) => {
+    const directory = await createTempDir(t);
+    const data = {
+      balance_transactions: [
+        { id: "txn_1", created: unix("2026-09-02"), status: "available" },
+        { id: "txn_2", created: unix("2026-09-10"), status: "pending" },
+        { id: "txn_3", created: unix("2026-09-20"), status: "available" },
+      ],
+      payouts: [],
+      invoices: [],
+    };
+
+    let stripe = createFakeStripe(data);
+    const first = await TransactionCache.load(directory, "kofi");
+    await first.sync(/** @type {any} */ (stripe), period);
+
+    // The pending transaction settles, and is fetched again from the cache
+    // written by the first sync:
+    data.balance_transactions[1].status = "available";
+    stripe = createFakeStripe(data);
+    const second = await TransactionCache.load(directory, "kofi");
+    await second.sync(/** @type {any} */ (stripe), period);
+
+    const [request] = stripe.requests.filter(
+      ({ name }) => name === "balance_transactions"
+    );
+    assert.equal(request.params.created.gte, unix("2026-09-10"));
+    assert.equal(
+      second.resources.balance_transactions.objects.txn_2.status,
+      "available"
+    );
+
+    // Once everything is settled, only the newest is fetched again:
+    stripe = createFakeStripe(data);
+    await second.sync(/** @type {any} */ (stripe), period);
+    assert.equal(stripe.requests[0].params.created.gte, unix("2026-09-20"));
+  });
+
+  it("fetches dispute transactions again until the dispute is closed", async (t) => {
+    const directory = await createTempDir(t);
+    const dispute = { object: "dispute", id: "dp_1", status: "under_review" };
+    const data = {
+      balance_transactions: [
+        {
+          id: "txn_1",
+          created: unix("2026-09-05"),
+          status: "available",
+          source: dispute,
+        },
+        { id: "txn_2", created: unix("2026-09-20"), status: "available" },
+      ],
+      payouts: [],
+      invoices: [],
+    };
+
+    const cache = await TransactionCache.load(directory, "kofi");
+    await cache.sync(/** @type {any} */ (createFakeStripe(data)), period);
+
+    dispute.status = "won";
+    let stripe = createFakeStripe(data);
+    await cache.sync(/** @type {any} */ (stripe), period);
+
+    assert.equal(stripe.requests[0].params.created.gte, unix("2026-09-05"));
+    assert.equal(
+      cache.resources.balance_transactions.objects.txn_1.source.status,
+      "won"
+    );
+
+    stripe = createFakeStripe(data);
+    await cache.sync(/** @type {any} */ (stripe), period);
+    assert.equal(stripe.requests[0].params.created.gte, unix("2026-09-20"));
+  });
+
+  it("fetches the transactions of paid payouts once", async (t) => {
+    const directory = await createTempDir(t);
+    const data = {
+      balance_transactions: [
+        {
+          id: "txn_1",
+          created: unix("2026-08-20"),
+          status: "available",
+          payout: "po_1",
+        },
+      ],
+      payouts: [
+        {
+          id: "po_1",
+          created: unix("2026-08-28"),
+          arrival_date: unix("2026-09-02"),
+          status: "paid",
+        },
+      ],
+      invoices: [],
+    };
+
+    const cache = await TransactionCache.load(directory, "kofi");
+    await cache.sync(/** @type {any} */ (createFakeStripe(data)), period);
+
+    const stripe = createFakeStripe(data);
+    await cache.sync(/** @type {any} */ (stripe), period);
+    assert.equal(
+      stripe.requests.some(({ params }) => params.payout),
+      false
+    );
+
+    const client = cache.getClient(/** @type {any} */ (stripe));
+    const transactions = await collect(
+      client.balanceTransactions.list({ payout: "po_1" })
+    );
+    assert.deepEqual(
+      transactions.map((transaction) => transaction.id),
+      ["txn_1"]
+    );
+  });
+});
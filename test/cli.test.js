@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import { join as joinPath } from "node:path";
+import { describe, it } from "node:test";
+
+import { EXIT_CODES, UsageError, parseCliArguments } from "../src/cli.js";
+import { PERIOD, createTempDir, fixturesDir, runCli } from "./helpers.js";
+
+describe("parseCliArguments", () => {
+  it("parses a command with its options", () => {
+    const args = parseCliArguments([
+      "receipts",
+      "--account",
+      "KoFi",
+      "--period",
+      "2026-Q3",
+      "--replay",
+      "fixtures",
+    ]);
+
+    assert.equal(args.command, "receipts");
+    assert.equal(args.action, "createAndSaveReceipts");
+    assert.equal(args.account, "kofi");
+    assert.equal(args.allAccounts, false);
+    assert.deepEqual(args.fixtures, { mode: "replay", directory: "fixtures" });
+    assert.equal(args.period.start.getMonth(), 6);
+    assert.equal(args.period.end.getMonth(), 9);
+  });
+
+  it("supports help as a command", () => {
+    const args = parseCliArguments(["help", "send"]);
+
+    assert.equal(args.help, true);
+    assert.equal(args.command, "send");
+  });
+
+  it("leaves out what isn't given, to be prompted for", () => {
+    const args = parseCliArguments([]);
+
+    assert.equal(args.command, undefined);
+    assert.equal(args.account, undefined);
+    assert.equal(args.period, undefined);
+    assert.equal(args.dryRun, false);
+  });
+
+  for (const [name, argv] of [
+    ["an unknown command", ["refunds"]],
+    ["an unknown option", ["receipts", "--verbose"]],
+    ["an extra argument", ["receipts", "kofi"]],
+    ["an invalid period", ["receipts", "--period", "2026-13"]],
+    ["--account with --all-accounts", ["export", "-a", "kofi", "-A"]],
+    ["--record with --replay", ["export", "--record", "a", "--replay", "b"]],
+    ["serve for all accounts", ["serve", "--all-accounts"]],
+  ]) {
+    it(`rejects ${name}`, () => {
+      assert.throws(() => parseCliArguments(argv), UsageError);
+    });
+  }
+});
+
+describe("stripe-connect-tools exit codes", () => {
+  const replay = ["--replay", joinPath(fixturesDir, "stripe")];
+
+  it("exits with 0 for --help", async (t) => {
+    const { code, stdout } = await runCli(["--help"], {
+      cwd: await createTempDir(t),
+    });
+
+    assert.equal(code, EXIT_CODES.success);
+    assert.match(stdout, /Usage: stripe-connect-tools/);
+  });
+
+  for (const [name, argv] of [
+    ["an unknown command", ["refunds"]],
+    ["an invalid period", ["export", "-a", "kofi", "-p", "2026-13"]],
+    ["an unknown account", ["export", "-a", "nope", "-p", PERIOD, ...replay]],
+    ["missing values without a terminal", ["export", ...replay]],
+  ]) {
+    it(`exits with 2 for ${name}`, async (t) => {
+      const { code, stderr } = await runCli(argv, {
+        cwd: await createTempDir(t),
+      });
+
+      assert.equal(code, EXIT_CODES.usage, stderr);
+    });
+  }
+
+  it("exits with 1 when a run fails", async (t) => {
+    // The replayed account has no recorded responses for this period:
+    const { code } = await runCli(
+      ["export", "-a", "kofi", "-p", "2020-01", ...replay],
+      { cwd: await createTempDir(t) }
+    );
+
+    assert.equal(code, EXIT_CODES.failure);
+  });
+
+  it("exits with 0 when a run succeeds", async (t) => {
+    const { code, stderr } = await runCli(
+      ["export", "-a", "kofi", "-p", PERIOD, ...replay],
+      { cwd: await createTempDir(t) }
+    );
+
+    assert.equal(code, EXIT_CODES.success, stderr);
+  });
+});
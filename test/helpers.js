@@ -0,0 +1,121 @@
+import { spawn } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { createServer } from "node:net";
+import { tmpdir } from "node:os";
+import { dirname, join as joinPath } from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const root = joinPath(dirname(fileURLToPath(import.meta.url)), "..");
+
+/**
+ * The recorded Stripe responses the commands are replayed from, see
+ * scripts/check-fixtures.js
+ */
+export const fixturesDir = joinPath(root, "fixtures", "replay");
+
+/**
+ * The period the fixtures were recorded for
+ */
+export const PERIOD = "2026-09";
+
+/**
+ * A temporary directory, removed once the test is done
+ *
+ * @param {import("node:test").TestContext} t
+ * @returns {Promise<string>}
+ */
+export async function createTempDir(t) {
+  const directory = await mkdtemp(joinPath(tmpdir(), "stripe-connect-test-"));
+  t.after(() => rm(directory, { recursive: true, force: true }));
+
+  return directory;
+}
+
+/**
+ * Writes the config of the fixtures to a directory, with additional TOML
+ * appended, e.g., a [webhooks] section
+ *
+ * @param {string} directory
+ * @param {string} [extra]
+ * @returns {Promise<string>} the path of the config file
+ */
+export async function writeConfig(directory, extra = "") {
+  const file = joinPath(directory, "config.toml");
+  const config = await readFile(joinPath(fixturesDir, "config.toml"), "utf8");
+  await writeFile(file, `${config}\n${extra}\n`);
+
+  return file;
+}
+
+/**
+ * A port that's free to listen on
+ *
+ * @returns {Promise<number>}
+ */
+export function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      // @ts-ignore listening on a TCP port
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * @typedef CliOptions
+ * @property {string} cwd the working directory, which is the output directory
+ *   with the config of the fixtures
+ * @property {string} [configFile] by default the config of the fixtures
+ * @property {Record<string, string>} [env] additional environment variables
+ * @property {number} [timeout] in milliseconds
+ */
+
+/**
+ * Starts stripe-connect-tools, without a terminal and with only the
+ * environment it needs, so that the shell's Stripe keys can't be used
+ *
+ * @param {string[]} args
+ * @param {CliOptions} options
+ * @returns {import("node:child_process").ChildProcessWithoutNullStreams}
+ */
+export function startCli(args, { cwd, configFile, env = {}, timeout = 60000 }) {
+  return spawn(
+    process.execPath,
+    [joinPath(root, "bin", "stripe-connect-tools.js"), ...args],
+    {
+      cwd,
+      env: {
+        PATH: process.env.PATH,
+        CONFIG_FILE: configFile ?? joinPath(fixturesDir, "config.toml"),
+        TZ: "UTC",
+        ...env,
+      },
+      timeout,
+    }
+  );
+}
+
+/**
+ * Runs stripe-connect-tools until it exits
+ *
+ * @param {string[]} args
+ * @param {CliOptions} options
+ * @returns {Promise<{ code: number | null, stdout: string, stderr: string }>}
+ */
+export function runCli(args, options) {
+  const child = startCli(args, options);
+  child.stdin.end();
+
+  let stdout = "";
+  let stderr = "";
+  child.stdout.on("data", (data) => (stdout += data));
+  child.stderr.on("data", (data) => (stderr += data));
+
+  return new Promise((resolve, reject) => {
+    child.once("error", reject);
+    child.once("close", (code) => resolve({ code, stdout, stderr }));
+  });
+}
@@ -0,0 +1,128 @@
+import assert from "node:assert/strict";
+import { readFile, stat, writeFile } from "node:fs/promises";
+import { join as joinPath } from "node:path";
+import { describe, it } from "node:test";
+
+import { registerSecretProvider, resolveSecret } from "../src/secrets.js";
+import {
+  readSecretsFile,
+  writeSecretsFile,
+} from "../src/secret-providers/file.js";
+import { createTempDir } from "./helpers.js";
+
+/**
+ * The parts of the configuration the secret providers use
+ *
+ * @param {string} [passphrase]
+ */
+function getConfig(passphrase = "") {
+  return /** @type {any} */ ({ secrets: { modules: [], passphrase } });
+}
+
+describe("secrets file", () => {
+  const secrets = { kofi: "sk_live_kofi", "kofi-webhook": "whsec_ünïcode" };
+
+  it("reads back the secrets it wrote", async (t) => {
+    const file = joinPath(await createTempDir(t), "secrets.json");
+    await writeSecretsFile(file, secrets, "correct horse");
+
+    assert.deepEqual(await readSecretsFile(file, "correct horse"), secrets);
+    assert.equal((await stat(file)).mode & 0o777, 0o600);
+  });
+
+  it("stores the secrets encrypted, with the scrypt parameters", async (t) => {
+    const file = joinPath(await createTempDir(t), "secrets.json");
+    await writeSecretsFile(file, secrets, "correct horse");
+
+    const contents = await readFile(file, "utf8");
+    const data = JSON.parse(contents);
+
+    assert.equal(data.version, 1);
+    assert.equal(data.cipher, "aes-256-gcm");
+    assert.equal(data.kdf.name, "scrypt");
+    assert.equal(typeof data.kdf.N, "number");
+    assert.equal(Buffer.from(data.iv, "base64").length, 12);
+    assert.equal(Buffer.from(data.tag, "base64").length, 16);
+    assert.doesNotMatch(contents, /sk_live_kofi/);
+  });
+
+  it("rejects a wrong passphrase", async (t) => {
+    const file = joinPath(await createTempDir(t), "secrets.json");
+    await writeSecretsFile(file, secrets, "correct horse");
+
+    await assert.rejects(
+      readSecretsFile(file, "battery staple"),
+      /check the passphrase/
+    );
+  });
+
+  it("rejects a file that was changed", async (t) => {
+    const file = joinPath(await createTempDir(t), "secrets.json");
+    await writeSecretsFile(file, secrets, "correct horse");
+
+    const data = JSON.parse(await readFile(file, "utf8"));
+    const encrypted = Buffer.from(data.data, "base64");
+    encrypted[0] ^= 1;
+    data.data = encrypted.toString("base64");
+    await writeFile(file, JSON.stringify(data));
+
+    await assert.rejects(readSecretsFile(file, "correct horse"));
+  });
+});
+
+describe("resolveSecret", () => {
+  it("returns values without a scheme as they are", async () => {
+    assert.equal(
+      await resolveSecret("sk_test_123", getConfig()),
+      "sk_test_123"
+    );
+  });
+
+  it("resolves file:// references with the configured passphrase", async (t) => {
+    const file = joinPath(await createTempDir(t), "secrets.json");
+    await writeSecretsFile(file, { kofi: "sk_live_kofi\n" }, "correct horse");
+
+    assert.equal(
+      await resolveSecret(`file://${file}#kofi`, getConfig("correct horse")),
+      "sk_live_kofi"
+    );
+    await assert.rejects(
+      resolveSecret(`file://${file}#other`, getConfig("correct horse")),
+      /no secret named other/
+    );
+  });
+
+  it("resolves env:// references", async (t) => {
+    process.env.STRIPE_CONNECT_TEST_SECRET = "sk_test_env";
+    t.after(() => delete process.env.STRIPE_CONNECT_TEST_SECRET);
+
+    assert.equal(
+      await resolveSecret("env://STRIPE_CONNECT_TEST_SECRET", getConfig()),
+      "sk_test_env"
+    );
+    await assert.rejects(
+      resolveSecret("env://STRIPE_CONNECT_TEST_MISSING", getConfig()),
+      /isn't set/
+    );
+  });
+
+  it("uses registered providers, and rejects unknown schemes", async () => {
+    registerSecretProvider({
+      scheme: "test",
+      name: "test provider",
+      resolve: async (path) => `secret for ${path}`,
+    });
+
+    assert.equal(
+      await resolveSecret("test://stripe/kofi", getConfig()),
+      "secret for stripe/kofi"
+    );
+    await assert.rejects(
+      resolveSecret("vault://stripe/kofi", getConfig()),
+      /Unknown secret provider vault:\/\//
+    );
+    assert.throws(() =>
+      registerSecretProvider(/** @type {any} */ ({ scheme: "Bad Scheme" }))
+    );
+  });
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { join as joinPath } from "node:path";
+import { describe, it } from "node:test";
+
+import { EXIT_CODES } from "../src/cli.js";
+import { PERIOD, createTempDir, fixturesDir, runCli } from "./helpers.js";
+
+describe("send --dry-run", () => {
+  const args = [
+    "--account",
+    "kofi",
+    "--period",
+    PERIOD,
+    "--replay",
+    joinPath(fixturesDir, "stripe"),
+  ];
+
+  it("previews the emails without sending or recording them", async (t) => {
+    const cwd = await createTempDir(t);
+
+    const receipts = await runCli(["receipts", ...args], { cwd });
+    assert.equal(receipts.code, EXIT_CODES.success, receipts.stderr);
+
+    // The SMTP server of the config isn't running, so sending would fail:
+    const { code, stdout, stderr } = await runCli(
+      ["send", "--dry-run", ...args],
+      { cwd }
+    );
+    assert.equal(code, EXIT_CODES.success, stderr);
+
+    assert.match(stdout, /To: jan@example\.com/);
+    assert.match(stdout, /Attachments: KOFI-2026-09-0002\.pdf/);
+    assert.match(stdout, /Would send 3 receipts, 0 were already sent/);
+    assert.match(stdout, /no email address: KOFI-2026-09-0004/);
+
+    const ledger = JSON.parse(
+      await readFile(joinPath(cwd, "ledger.json"), "utf8")
+    );
+    assert.deepEqual(ledger.sent, {});
+  });
+});
@@ -0,0 +1,172 @@
+import assert from "node:assert/strict";
+import { existsSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { connect } from "node:net";
+import { join as joinPath } from "node:path";
+import { describe, it } from "node:test";
+
+import { EXIT_CODES } from "../src/cli.js";
+import { getStripeClient } from "../src/stripe.js";
+import {
+  createTempDir,
+  fixturesDir,
+  getFreePort,
+  root,
+  startCli,
+  writeConfig,
+} from "./helpers.js";
+
+const WEBHOOK_SECRET = "whsec_test";
+
+/**
+ * Sends a raw HTTP request, which a client like fetch wouldn't send, and
+ * resolves with the status line of the response, or "closed" if the
+ * connection was closed without one
+ *
+ * @param {number} port
+ * @param {string | Buffer} request
+ * @param {{ end?: boolean }} [options] whether to close the connection once
+ *   the request is written, e.g., before the body is complete
+ * @returns {Promise<string>}
+ */
+function sendRaw(port, request, { end = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = connect(port, "127.0.0.1", () => {
+      if (end) {
+        socket.end(request);
+      } else {
+        socket.write(request);
+      }
+    });
+
+    let response = "";
+    socket.setTimeout(5000, () => socket.destroy(new Error("timed out")));
+    socket.on("data", (data) => (response += data));
+    socket.on("error", (error) =>
+      error.code === "ECONNRESET" ? undefined : reject(error)
+    );
+    socket.on("close", () => resolve(response.split("\r\n")[0] || "closed"));
+  });
+}
+
+/**
+ * Starts the serve command for the account of the fixtures, resolving once
+ * it's listening
+ *
+ * @param {import("node:test").TestContext} t
+ * @returns {Promise<{ cwd: string, port: number, exited: Promise<number | null>, output: () => string, child: import("node:child_process").ChildProcess }>}
+ */
+async function startServe(t) {
+  const cwd = await createTempDir(t);
+  const port = await getFreePort();
+  const configFile = await writeConfig(
+    cwd,
+    `[webhooks]\nhost = "127.0.0.1"\nport = ${port}\npath = "/webhooks"`
+  );
+
+  const child = startCli(
+    ["serve", "--account", "kofi", "--replay", joinPath(fixturesDir, "stripe")],
+    { cwd, configFile, env: { STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET } }
+  );
+  child.stdin.end();
+  t.after(() => child.kill());
+
+  let output = "";
+  child.stdout.on("data", (data) => (output += data));
+  child.stderr.on("data", (data) => (output += data));
+
+  const exited = new Promise((resolve) =>
+    child.once("exit", (code) => resolve(code))
+  );
+
+  await new Promise((resolve, reject) => {
+    child.stdout.on("data", () => {
+      if (output.includes("Listening for Stripe webhooks")) {
+        resolve(undefined);
+      }
+    });
+    exited.then(() => reject(new Error(`serve exited:\n${output}`)));
+  });
+
+  return { cwd, port, exited, output: () => output, child };
+}
+
+/**
+ * @param {string} body
+ * @param {Record<string, string>} [headers]
+ * @returns {string}
+ */
+function post(body, headers = {}) {
+  return [
+    "POST /webhooks HTTP/1.1",
+    "Host: 127.0.0.1",
+    "Content-Type: application/json",
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    "Connection: close",
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    "",
+    body,
+  ].join("\r\n");
+}
+
+describe("serve", () => {
+  it("keeps running after malformed requests", async (t) => {
+    const { port, exited, child } = await startServe(t);
+
+    assert.match(
+      await sendRaw(port, post("{}").replace("Host: 127.0.0.1", "Host: a b")),
+      / 400 /
+    );
+    assert.match(
+      await sendRaw(
+        port,
+        post("{}").replace("POST /webhooks", "POST http://a b/webhooks")
+      ),
+      / 400 /
+    );
+    assert.match(await sendRaw(port, post("{}")), / 400 /);
+
+    // A body that is never completed, and one that is too large:
+    await sendRaw(port, post("{}").replace("Length: 2", "Length: 1000"), {
+      end: true,
+    });
+    assert.match(
+      await sendRaw(
+        port,
+        post("x".repeat(1024 * 1024 + 1), { "Stripe-Signature": "t=1,v1=x" })
+      ),
+      / 413 /
+    );
+
+    assert.match(await sendRaw(port, post("{}")), / 400 /);
+
+    child.kill("SIGTERM");
+    assert.equal(await exited, EXIT_CODES.success);
+  });
+
+  it("saves a receipt for a signed charge.succeeded event", async (t) => {
+    const { cwd, port, exited, child, output } = await startServe(t);
+
+    const payload = await readFile(
+      joinPath(root, "fixtures", "webhooks", "01-charge.succeeded.json"),
+      "utf8"
+    );
+    const signature = getStripeClient("").webhooks.generateTestHeaderString({
+      payload,
+      secret: WEBHOOK_SECRET,
+    });
+
+    assert.match(
+      await sendRaw(port, post(payload, { "Stripe-Signature": "t=1,v1=0" })),
+      / 400 /
+    );
+    assert.match(
+      await sendRaw(port, post(payload, { "Stripe-Signature": signature })),
+      / 200 /
+    );
+
+    child.kill("SIGTERM");
+    assert.equal(await exited, EXIT_CODES.success, output());
+    assert.ok(existsSync(joinPath(cwd, "receipts", "KOFI-2026-09-0001.pdf")));
+  });
+});